@@ -20,25 +20,198 @@ const pluginConfig = {
         jellyseerrUrl: "http://localhost:5055",
         jellyseerrApiKey: "",
         refreshInterval: 12, // hours
+        requestPollInterval: 5, // minutes
+        requestTimeout: 15, // seconds
+        requestRetries: 2, // retries for server errors and network failures
+        userMappings: {}, // Jellyfin user id -> Jellyseerr user id
+        autoMatchUsers: true, // Match unmapped users by Jellyfin id, username or email
+        displayLanguage: "", // Metadata language (e.g. "de"), empty to follow the Jellyfin user's display language
+        region: "", // Region for release dates, ratings and watch providers (e.g. "DE"), empty to follow the user's culture
+        homeSections: ["trending", "popular-movies", "popular-tv", "upcoming-movies", "upcoming-tv", "incomplete-collections"], // Home screen rows, in order
         displayNetworks: ["HBO", "Netflix", "Disney", "Amazon", "Apple TV+", "Hulu", "Paramount+"], // Default networks to display
         displayStudios: ["Warner Bros.", "Universal Pictures", "Sony Pictures", "Paramount Pictures"] // Default studios to display
     }
 };
 
+// Path of the Jellyseerr proxy on the Jellyfin server. It holds the API key and forwards allow-listed calls
+// for logged-in Jellyfin users (see "Jellyseerr Proxy" below), so the key never reaches the browser.
+const jellyseerrProxyPath = "/JellyseerrIntegration/Proxy";
+
+// Path of the client configuration on the Jellyfin server: the plugin settings without the API key
+const clientConfigurationPath = "/JellyseerrIntegration/ClientConfiguration";
+
+// Jellyseerr media status values (mediaInfo.status)
+const mediaStatus = {
+    UNKNOWN: 1,
+    PENDING: 2,
+    PROCESSING: 3,
+    PARTIALLY_AVAILABLE: 4,
+    AVAILABLE: 5
+};
+
+// Jellyseerr request status values (request.status)
+const requestStatus = {
+    PENDING: 1,
+    APPROVED: 2,
+    DECLINED: 3
+};
+
+// Jellyseerr user permission flags (user.permissions is a bitmask)
+const jellyseerrPermission = {
+    ADMIN: 2,
+    MANAGE_USERS: 8,
+    MANAGE_REQUESTS: 16,
+    REQUEST: 32,
+    REQUEST_4K: 1024,
+    REQUEST_4K_MOVIE: 2048,
+    REQUEST_4K_TV: 4096,
+    REQUEST_ADVANCED: 8192
+};
+
+// Number of media details fetched at the same time, e.g. for the titles and posters of the "My Requests" page
+// and the approval queue
+const detailsFetchConcurrency = 6;
+
+// Most library movies whose TMDB collection is looked up per library sync (see updateCollectionIndex)
+const collectionLookupsPerSync = 200;
+
+// Endpoints whose responses depend on the language and region (metadata and discover), only their GET requests
+// are localized
+const localizedEndpointPattern = /^\/(networks|studios|network|studio|discover|search|person|collection|movie|tv|keyword|genres)(\/|\?|$)/;
+
+// Number of Jellyfin library items fetched per page when indexing the library
+const libraryPageSize = 500;
+
+// Delay between requests of a batch, so selecting a whole catalog doesn't flood Jellyseerr (milliseconds)
+const batchRequestDelay = 500;
+
+// Where the watchlist is kept in the user's Jellyfin display preferences
+const watchlistPreferences = {
+    id: "jellyseerr",
+    client: "jellyseerr",
+    key: "watchlist"
+};
+
+// Discover rows that can be shown on the home screen (category is the Jellyseerr /discover endpoint,
+// mediaType is set on results that don't carry their own)
+const discoverSections = {
+    "trending": { title: "Trending", category: "trending", mediaType: null },
+    "popular-movies": { title: "Popular Movies", category: "movies", mediaType: "movie" },
+    "popular-tv": { title: "Popular TV", category: "tv", mediaType: "tv" },
+    "upcoming-movies": { title: "Upcoming Movies", category: "movies/upcoming", mediaType: "movie" },
+    "upcoming-tv": { title: "Upcoming TV", category: "tv/upcoming", mediaType: "tv" }
+};
+
+// Get the logged-in user's culture (e.g. "de-DE"): the Jellyfin web client's display language, or the browser's
+function getUserCulture() {
+    return document.documentElement.lang || navigator.language || "en-US";
+}
+
+// Split a culture tag into its language and region (e.g. "zh-Hans-CN" -> zh, CN), falling back to en-US when
+// the tag isn't valid
+function parseCulture(tag) {
+    try {
+        const locale = new Intl.Locale(tag);
+        return { language: locale.language, region: locale.region || null };
+    } catch (error) {
+        return { language: 'en', region: 'US' };
+    }
+}
+
+// Content security policy installed with the plugin. It applies to the whole Jellyfin web app and can't be removed
+// again, so it only holds directives that can't break Jellyfin: no plugins (object/embed) and no <base> pointing
+// elsewhere, and images only from the web client, the Jellyfin server plugin.js came from and TMDB. Scripts and
+// connections are left to Jellyfin; remote metadata is only ever rendered as text (see "Rendering Remote Data").
+const contentSecurityPolicy = {
+    "object-src": ["'none'"],
+    "base-uri": ["'self'"],
+    "img-src": ["'self'", "data:", "blob:", "https://image.tmdb.org"]
+};
+
+// Origin plugin.js is served from, the Jellyfin server (which can differ from the web client's origin)
+const pluginScriptOrigin = document.currentScript && document.currentScript.src ?
+    new URL(document.currentScript.src, window.location.href).origin : null;
+
+// Badge labels for content availability states
+const availabilityLabels = {
+    "available": "Available",
+    "partially-available": "Partially Available",
+    "not-available": "Not Available",
+    "requested": "Requested"
+};
+
+// Default filters and sorting for network/studio content pages (kept in the page URL query)
+const defaultContentFilters = {
+    availability: "",
+    genre: "",
+    yearFrom: "",
+    yearTo: "",
+    minRating: "",
+    sort: "popularity"
+};
+
+// Jellyseerr (TMDB) sort orders for the content page "Sort by" options, per media type
+const contentSortOrders = {
+    popularity: { movie: "popularity.desc", tv: "popularity.desc" },
+    releaseDate: { movie: "primary_release_date.desc", tv: "first_air_date.desc" },
+    title: { movie: "title.asc", tv: "name.asc" },
+    rating: { movie: "vote_average.desc", tv: "vote_average.desc" }
+};
+
+// Labels for the request statuses shown on the "My Requests" page
+const requestStatusLabels = {
+    pending: "Pending",
+    approved: "Approved",
+    declined: "Declined",
+    processing: "Processing",
+    available: "Available"
+};
+
 // Main plugin class
 class JellyseerrIntegrationPlugin {
     constructor(options) {
-        this.options = Object.assign({}, pluginConfig.defaultSettings, options);
+        this.options = this.getClientSettings(options);
         this.serverConnector = new JellyseerrServerConnector(this.options);
+        this.userMapper = new JellyseerrUserMapper(this.serverConnector, this.options);
+        this.libraryReconciler = new JellyfinLibraryReconciler();
+        this.watchlist = new JellyseerrWatchlist();
         this.networkCache = {};
         this.studioCache = {};
+        this.requestCache = {};
+        this.userRequests = [];
+        this.quota = null;
+        this.jellyseerrUser = null;
+        this.jellyfinUser = null;
+        this.contentPageCache = {};
+        this.genreCache = null;
+        this.viewAbortController = null;
         this.lastRefresh = null;
+        this.collectionIndexUpdate = null;
     }
 
     // Initialize the plugin
     async init() {
         console.log("Initializing Jellyseerr Integration Plugin");
         
+        // Render from the persistent cache right away, refreshData revalidates it
+        this.loadCachedData();
+        
+        // Get the logged-in Jellyfin user (needed for admin-only features); without it the plugin still loads,
+        // treating the user as a non-administrator
+        try {
+            this.jellyfinUser = await Jellyfin.getCurrentUser();
+        } catch (error) {
+            console.error("Error getting the current Jellyfin user:", error);
+            this.jellyfinUser = null;
+        }
+        
+        // Load the user's watchlist from their Jellyfin display preferences
+        try {
+            await this.watchlist.load(this.jellyfinUser);
+        } catch (error) {
+            console.error("Error loading the watchlist:", error);
+        }
+        
         // Register UI components
         this.registerComponents();
         
@@ -48,6 +221,13 @@ class JellyseerrIntegrationPlugin {
         // Set up refresh interval
         setInterval(() => this.refreshData(), this.options.refreshInterval * 60 * 60 * 1000);
         
+        // Poll the library and request statuses more often so "Requested" badges turn "Available" without a reload
+        // (the library poll only fetches items added or changed since the last indexing)
+        setInterval(() => {
+            this.refreshLibrary(true);
+            this.refreshRequests();
+        }, this.options.requestPollInterval * 60 * 1000);
+        
         // Add event listeners
         document.addEventListener("jellyfin-view-change", this.handleViewChange.bind(this));
     }
@@ -63,6 +243,30 @@ class JellyseerrIntegrationPlugin {
             render: this.renderNetworksAndStudios.bind(this)
         });
         
+        // Add the enabled discover and collection rows after it, in the configured order
+        this.options.homeSections
+            .filter(sectionId => discoverSections[sectionId] || sectionId === 'incomplete-collections')
+            .forEach((sectionId, index) => {
+                if (sectionId === 'incomplete-collections') {
+                    Jellyfin.Components.registerHomeSection({
+                        name: "jellyseerr-incomplete-collections",
+                        type: "collections",
+                        title: "Incomplete Collections",
+                        order: 5 + index,
+                        render: this.renderIncompleteCollections.bind(this)
+                    });
+                    return;
+                }
+                
+                Jellyfin.Components.registerHomeSection({
+                    name: `jellyseerr-discover-${sectionId}`,
+                    type: "discover",
+                    title: discoverSections[sectionId].title,
+                    order: 5 + index,
+                    render: container => this.renderDiscoverSection(container, sectionId)
+                });
+            });
+        
         // Add to library browse menu
         Jellyfin.Navigation.registerMenuItem({
             name: "jellyseerr-networks-browse",
@@ -71,6 +275,96 @@ class JellyseerrIntegrationPlugin {
             icon: "tv",
             handler: this.openNetworkBrowser.bind(this)
         });
+        
+        // Add request approval queue to the menu (administrators only)
+        if (this.isAdmin()) {
+            Jellyfin.Navigation.registerMenuItem({
+                name: "jellyseerr-request-approvals",
+                title: "Request Approvals",
+                path: "/jellyseerr/admin/requests",
+                icon: "how_to_reg",
+                handler: this.openApprovalQueue.bind(this)
+            });
+            
+            Jellyfin.Navigation.registerMenuItem({
+                name: "jellyseerr-user-mapping",
+                title: "Jellyseerr User Mapping",
+                path: "/jellyseerr/admin/users",
+                icon: "manage_accounts",
+                handler: this.openUserMapping.bind(this)
+            });
+        }
+        
+        // Add search page to the menu
+        Jellyfin.Navigation.registerMenuItem({
+            name: "jellyseerr-search",
+            title: "Search & Request",
+            path: "/jellyseerr/search",
+            icon: "search",
+            handler: this.openSearch.bind(this)
+        });
+        
+        // Add "My Requests" page to the menu
+        Jellyfin.Navigation.registerMenuItem({
+            name: "jellyseerr-my-requests",
+            title: "My Requests",
+            path: "/jellyseerr/requests",
+            icon: "playlist_add_check",
+            handler: this.openRequestsPage.bind(this)
+        });
+        
+        // Add the watchlist to the menu
+        Jellyfin.Navigation.registerMenuItem({
+            name: "jellyseerr-watchlist",
+            title: "Watchlist",
+            path: "/jellyseerr/watchlist",
+            icon: "bookmark",
+            handler: this.openWatchlist.bind(this)
+        });
+    }
+    
+    // Apply new settings: rebuild the connector so a changed URL or API key is used
+    applySettings(settings) {
+        this.options = this.getClientSettings(settings);
+        this.serverConnector = new JellyseerrServerConnector(this.options);
+        this.userMapper = new JellyseerrUserMapper(this.serverConnector, this.options);
+        this.jellyseerrUser = null;
+        this.contentPageCache = {};
+        this.genreCache = null;
+    }
+    
+    // Merge settings with the defaults. They come from the client configuration, which never includes the API key:
+    // all calls go through the Jellyfin server's proxy
+    getClientSettings(settings) {
+        const options = Object.assign({}, pluginConfig.defaultSettings, settings);
+        
+        // Language and region default to the user's culture. TMDB takes the language with its region (e.g. "pt-BR"),
+        // script subtags (the "Hans" of "zh-Hans-CN") are left out
+        const culture = parseCulture(getUserCulture());
+        options.displayLanguage = options.displayLanguage || (culture.region ? `${culture.language}-${culture.region}` : culture.language);
+        options.region = (options.region || culture.region || 'US').toUpperCase();
+        return options;
+    }
+    
+    // Check whether the logged-in Jellyfin user is an administrator
+    isAdmin() {
+        return !!(this.jellyfinUser && this.jellyfinUser.Policy && this.jellyfinUser.Policy.IsAdministrator);
+    }
+    
+    // Resolve the Jellyseerr account of the logged-in Jellyfin user (cached). Throws a JellyseerrUnlinkedUserError
+    // when there's no mapping or match: nothing is requested or shown on behalf of another account (e.g. the
+    // API key owner)
+    async getJellyseerrUser() {
+        if (!this.jellyseerrUser) {
+            this.jellyseerrUser = await this.userMapper.resolve(this.jellyfinUser);
+            
+            if (!this.jellyseerrUser) {
+                throw new JellyseerrUnlinkedUserError(
+                    `No Jellyseerr user mapped for Jellyfin user ${this.jellyfinUser ? this.jellyfinUser.Name : 'unknown'}`);
+            }
+        }
+        
+        return this.jellyseerrUser;
     }
     
     // Refresh data from Jellyseerr
@@ -78,23 +372,29 @@ class JellyseerrIntegrationPlugin {
         console.log("Refreshing data from Jellyseerr");
         this.lastRefresh = new Date();
         
+        // The Jellyfin library is indexed separately so availability is right even if Jellyseerr is down
+        await this.refreshLibrary();
+        
         try {
-            // Get networks data
-            const networksData = await this.serverConnector.getNetworks();
-            this.networkCache = networksData.reduce((acc, network) => {
-                acc[network.id] = network;
-                return acc;
-            }, {});
+            // Get networks data (cached data is returned at once and revalidated in the background)
+            const networksData = await this.serverConnector.getNetworks(freshData => {
+                this.setNetworks(freshData);
+                this.updateUI();
+            });
+            this.setNetworks(networksData);
             
             // Get studios data
-            const studiosData = await this.serverConnector.getStudios();
-            this.studioCache = studiosData.reduce((acc, studio) => {
-                acc[studio.id] = studio;
-                return acc;
-            }, {});
+            const studiosData = await this.serverConnector.getStudios(freshData => {
+                this.setStudios(freshData);
+                this.updateUI();
+            });
+            this.setStudios(studiosData);
             
             console.log(`Refreshed data: ${Object.keys(this.networkCache).length} networks, ${Object.keys(this.studioCache).length} studios`);
             
+            // Get the current user's requests
+            await this.refreshRequests();
+            
             // Trigger UI update if needed
             this.updateUI();
         } catch (error) {
@@ -102,6 +402,129 @@ class JellyseerrIntegrationPlugin {
         }
     }
     
+    // Fill the network and studio caches from the persistent cache
+    loadCachedData() {
+        const networksData = this.serverConnector.getCachedData('/networks');
+        if (networksData) {
+            this.setNetworks(networksData);
+        }
+        
+        const studiosData = this.serverConnector.getCachedData('/studios');
+        if (studiosData) {
+            this.setStudios(studiosData);
+        }
+    }
+    
+    // Store networks by id
+    setNetworks(networksData) {
+        this.networkCache = networksData.reduce((acc, network) => {
+            acc[network.id] = network;
+            return acc;
+        }, {});
+    }
+    
+    // Store studios by id
+    setStudios(studiosData) {
+        this.studioCache = studiosData.reduce((acc, studio) => {
+            acc[studio.id] = studio;
+            return acc;
+        }, {});
+    }
+    
+    // Re-index the Jellyfin library by provider ids (incrementally: only new and changed items) and mark cards
+    // for items that are in it as available
+    async refreshLibrary(incremental = false) {
+        try {
+            await this.libraryReconciler.refresh(this.jellyfinUser, incremental);
+            this.updateLibraryBadges();
+            this.checkWatchlistAvailability();
+        } catch (error) {
+            console.error("Error indexing the Jellyfin library:", error);
+            return;
+        }
+        
+        if (!this.collectionIndexUpdate) {
+            this.collectionIndexUpdate = this.updateCollectionIndex()
+                .catch(error => console.error("Error indexing movie collections:", error))
+                .finally(() => {
+                    this.collectionIndexUpdate = null;
+                });
+        }
+    }
+    
+    // Update the persisted index of library movies to their TMDB collections. Only movies that aren't in it yet
+    // are looked up, at most collectionLookupsPerSync per library sync, so a large library is indexed over a few
+    // syncs instead of with thousands of calls at once; movies that left the library are dropped.
+    async updateCollectionIndex() {
+        const previous = this.serverConnector.getMovieCollectionIndex();
+        const index = {};
+        const unknown = [];
+        this.libraryReconciler.getMovieIds().forEach(movieId => {
+            if (previous[movieId] !== undefined) {
+                index[movieId] = previous[movieId];
+            } else {
+                unknown.push(movieId);
+            }
+        });
+        
+        const lookups = unknown.slice(0, collectionLookupsPerSync);
+        await this.mapWithConcurrency(lookups, detailsFetchConcurrency, async movieId => {
+            try {
+                const collection = await this.serverConnector.getMovieCollection(movieId);
+                index[movieId] = collection ? collection.id : null;
+            } catch (error) {
+                console.error(`Error fetching the collection of movie ${movieId}:`, error);
+            }
+        });
+        
+        this.serverConnector.saveMovieCollectionIndex(index);
+    }
+    
+    // Refresh the current user's requests and quota, and update request badges (errors are only logged)
+    async refreshRequests() {
+        try {
+            await this.loadRequests();
+        } catch (error) {
+            console.error("Error refreshing requests from Jellyseerr:", error);
+        }
+        
+        await this.refreshQuota();
+    }
+    
+    // Load the current user's requests and update request badges
+    async loadRequests() {
+        const jellyseerrUser = await this.getJellyseerrUser();
+        
+        const requests = await this.serverConnector.getRequests({
+            requestedBy: jellyseerrUser.id,
+            take: 100
+        });
+        this.userRequests = requests.results || [];
+        
+        // Requests are sorted newest first, so keep the latest request per media item
+        this.requestCache = this.userRequests.reduce((acc, request) => {
+            const key = this.getRequestKey(request.media.mediaType, request.media.tmdbId);
+            if (!acc[key]) {
+                acc[key] = request;
+            }
+            return acc;
+        }, {});
+        
+        this.updateRequestBadges();
+        this.checkWatchlistAvailability();
+    }
+    
+    // Refresh the current user's request quota
+    async refreshQuota() {
+        try {
+            const jellyseerrUser = await this.getJellyseerrUser();
+            this.quota = await this.serverConnector.getUserQuota(jellyseerrUser.id);
+            this.updateQuotaButtons();
+        } catch (error) {
+            console.error("Error refreshing request quota from Jellyseerr:", error);
+        }
+    }
+    
     // Handle view change events
     handleViewChange(event) {
         const view = event.detail.view;
@@ -109,6 +532,176 @@ class JellyseerrIntegrationPlugin {
         // If navigating to our custom views, render them
         if (view.startsWith('/jellyseerr/')) {
             this.renderCustomView(view);
+        } else {
+            if (this.viewAbortController) {
+                // Leaving our views: cancel anything they were still loading
+                this.viewAbortController.abort();
+                this.viewAbortController = null;
+            }
+            
+            // Add Jellyseerr links to Jellyfin's own item pages
+            if (view.startsWith('/details')) {
+                this.enhanceDetailsPage(view);
+            }
+        }
+    }
+    
+    // Add Jellyseerr content to a Jellyfin item details page (/details?id=...)
+    async enhanceDetailsPage(view) {
+        const itemId = new URLSearchParams(view.split('?')[1] || '').get('id');
+        const pageContainer = document.querySelector('#content-container');
+        if (!itemId || !pageContainer) return;
+        
+        // Everything is added to one element, replaced on every details page
+        const existing = pageContainer.querySelector('.jellyseerr-details-injection');
+        if (existing) {
+            existing.remove();
+        }
+        const container = document.createElement('div');
+        container.className = 'jellyseerr-details-injection';
+        pageContainer.appendChild(container);
+        
+        try {
+            const jellyfinItem = await Jellyfin.Api.getItem(this.jellyfinUser.Id, itemId);
+            const tmdbId = await this.resolveTmdbId(jellyfinItem);
+            if (!tmdbId || !container.isConnected) return;
+            
+            if (jellyfinItem.Type === 'Person') {
+                // Person pages link to the Jellyseerr person page with the full filmography
+                this.injectDetailsLink(container, 'Full filmography & missing titles', () => this.openPerson(tmdbId));
+            } else if (jellyfinItem.Type === 'BoxSet') {
+                // Collection pages link to the Jellyseerr collection page with every part of the collection
+                this.injectDetailsLink(container, 'Complete this collection', () => this.openCollection(tmdbId));
+            } else if (jellyfinItem.Type === 'Series') {
+                await this.injectMissingSeasons(container, tmdbId);
+            } else if (jellyfinItem.Type === 'Movie') {
+                await this.injectMovieRows(container, tmdbId);
+            }
+        } catch (error) {
+            console.error(`Error adding Jellyseerr content to item ${itemId}:`, error);
+        }
+    }
+    
+    // Get the TMDB id of a Jellyfin item from its provider ids. Movies and series without one (e.g. series only
+    // matched on TVDB) are looked up by their TVDB or IMDb id through Jellyseerr's search; null if not found.
+    async resolveTmdbId(jellyfinItem) {
+        const providerIds = jellyfinItem.ProviderIds || {};
+        if (providerIds.Tmdb) {
+            return providerIds.Tmdb;
+        }
+        
+        const mediaType = { Movie: 'movie', Series: 'tv' }[jellyfinItem.Type];
+        if (!mediaType) {
+            return null;
+        }
+        
+        const queries = [
+            providerIds.Tvdb ? `tvdb:${providerIds.Tvdb}` : null,
+            providerIds.Imdb ? `imdb:${providerIds.Imdb}` : null
+        ].filter(query => query);
+        
+        for (const query of queries) {
+            const response = await this.serverConnector.search(query);
+            const match = (response.results || []).find(result => result.mediaType === mediaType);
+            if (match) {
+                return match.id;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Add a link to a Jellyseerr page on a Jellyfin details page
+    injectDetailsLink(container, text, onClick) {
+        const link = document.createElement('button');
+        link.className = 'jellyseerr-details-link';
+        link.textContent = text;
+        link.addEventListener('click', onClick);
+        container.appendChild(link);
+    }
+    
+    // Add a "Missing Seasons" block with a season picker to a Jellyfin series page (nothing if no season is missing)
+    async injectMissingSeasons(container, tmdbId) {
+        const details = await this.serverConnector.getMediaDetails(tmdbId, 'tv');
+        const item = this.normalizeMediaItem(Object.assign({ mediaType: 'tv', id: Number(tmdbId) }, details));
+        
+        const statuses = this.getSeasonStatuses(details, await this.getLibrarySeasons(details));
+        const missing = (details.seasons || []).filter(season => season.seasonNumber > 0 && !statuses[season.seasonNumber]);
+        if (missing.length === 0 || !container.isConnected) return;
+        
+        const section = document.createElement('div');
+        section.className = 'jellyseerr-missing-seasons';
+        
+        const title = document.createElement('h2');
+        title.textContent = `Missing Seasons (${missing.length})`;
+        section.appendChild(title);
+        
+        const seasonPicker = this.createSeasonPicker(item, Promise.resolve(details));
+        section.appendChild(seasonPicker);
+        
+        const requestBtn = document.createElement('button');
+        requestBtn.className = 'request-button';
+        requestBtn.textContent = 'Request Selected Seasons';
+        this.setRequestButtonQuota(requestBtn, 'tv');
+        requestBtn.addEventListener('click', async () => {
+            const seasons = this.getSelectedSeasons(seasonPicker);
+            if (!seasons || seasons.length === 0) {
+                this.showNotification('Error', 'Select at least one season to request.', 'error');
+                return;
+            }
+            
+            requestBtn.disabled = true;
+            const requested = await this.requestContent(item, { seasons: seasons });
+            if (!requested) {
+                // requestContent has already reported the failure
+                requestBtn.disabled = false;
+                this.setRequestButtonQuota(requestBtn, 'tv');
+                return;
+            }
+            
+            // Show the requested seasons as requested
+            section.remove();
+            this.injectMissingSeasons(container, tmdbId)
+                .catch(error => console.error(`Error refreshing missing seasons for ${tmdbId}:`, error));
+        });
+        section.appendChild(requestBtn);
+        
+        container.appendChild(section);
+    }
+    
+    // Add "More from this collection" and "Similar titles not in your library" rows to a Jellyfin movie page
+    async injectMovieRows(container, tmdbId) {
+        const details = await this.serverConnector.getMediaDetails(tmdbId, 'movie');
+        
+        // The rest of the movie's collection
+        if (details.collection) {
+            try {
+                const collection = await this.serverConnector.getCollection(details.collection.id);
+                const parts = (collection.parts || [])
+                    .filter(part => String(part.id) !== String(tmdbId))
+                    .map(part => this.normalizeMediaItem(Object.assign({ mediaType: 'movie' }, part)))
+                    .sort((a, b) => new Date(a.releaseDate || '9999') - new Date(b.releaseDate || '9999'));
+                
+                if (parts.length > 0 && container.isConnected) {
+                    container.appendChild(this.createContentSection(`More from ${collection.name}`, parts));
+                }
+            } catch (error) {
+                console.error(`Error fetching collection ${details.collection.id}:`, error);
+            }
+        }
+        
+        // Similar titles, leaving out what's already in the library
+        try {
+            const response = await this.serverConnector.getSimilar(tmdbId, 'movie');
+            const similar = (response.results || [])
+                .map(result => this.normalizeMediaItem(Object.assign({ mediaType: 'movie' }, result)))
+                .filter(similarItem => this.getAvailabilityState(similarItem) !== 'available');
+            
+            if (similar.length > 0 && container.isConnected) {
+                container.appendChild(this.createContentSection('Similar Titles Not in Your Library', similar));
+            }
+        } catch (error) {
+            console.error(`Error fetching similar titles for ${tmdbId}:`, error);
         }
     }
     
@@ -168,6 +761,136 @@ class JellyseerrIntegrationPlugin {
         container.appendChild(studiosSection);
     }
     
+    // Render a discover row (trending, popular or upcoming titles) on the home screen
+    async renderDiscoverSection(container, sectionId) {
+        const config = discoverSections[sectionId];
+        container.innerHTML = '';
+        
+        const section = document.createElement('div');
+        section.className = `section discover-section ${sectionId}-section`;
+        
+        const header = document.createElement('h2');
+        header.textContent = config.title;
+        section.appendChild(header);
+        
+        const list = document.createElement('div');
+        list.className = 'horizontal-scroll';
+        list.textContent = 'Loading...';
+        section.appendChild(list);
+        container.appendChild(section);
+        
+        const renderResults = data => {
+            list.textContent = '';
+            (data.results || [])
+                .map(result => this.normalizeMediaItem(Object.assign({ mediaType: config.mediaType }, result)))
+                .filter(item => item.mediaType === 'movie' || item.mediaType === 'tv')
+                .forEach(item => list.appendChild(this.createContentCard(item)));
+        };
+        
+        try {
+            // Cached rows render at once and are replaced when the background revalidation finishes
+            const data = await this.serverConnector.getDiscover(config.category, 1, freshData => {
+                if (list.isConnected) {
+                    renderResults(freshData);
+                }
+            });
+            renderResults(data);
+        } catch (error) {
+            console.error(`Error fetching ${config.title}:`, error);
+            list.textContent = this.describeError(error, `Failed to load ${config.title.toLowerCase()}.`);
+        }
+    }
+    
+    // Render the home row of collections the library holds some, but not all, movies of
+    async renderIncompleteCollections(container) {
+        container.innerHTML = '';
+        
+        const section = document.createElement('div');
+        section.className = 'section collections-section';
+        
+        const header = document.createElement('h2');
+        header.textContent = 'Incomplete Collections';
+        section.appendChild(header);
+        
+        const list = document.createElement('div');
+        list.className = 'horizontal-scroll';
+        section.appendChild(list);
+        container.appendChild(section);
+        
+        if (!this.libraryReconciler.collections) {
+            await this.refreshLibrary();
+        }
+        
+        // Collections come from the collection index of the library's movies (built on library syncs, see
+        // updateCollectionIndex), plus Jellyfin's box sets (those need Jellyfin's automatic collections setting,
+        // which is off by default)
+        if (this.collectionIndexUpdate) {
+            await this.collectionIndexUpdate;
+        }
+        const movieCollectionIds = Object.values(this.serverConnector.getMovieCollectionIndex())
+            .filter(collectionId => collectionId !== null);
+        const collectionIds = new Set([
+            ...(this.libraryReconciler.collections || []).map(libraryCollection => String(libraryCollection.tmdbId)),
+            ...movieCollectionIds.map(collectionId => String(collectionId))
+        ]);
+        
+        // A few collections at a time, so large libraries don't flood Jellyseerr; cards appear as they're checked
+        await this.mapWithConcurrency([...collectionIds], detailsFetchConcurrency, async collectionId => {
+            if (!list.isConnected) return;
+            
+            try {
+                const collection = await this.serverConnector.getCollection(collectionId);
+                const parts = (collection.parts || []).map(part => this.normalizeMediaItem(Object.assign({ mediaType: 'movie' }, part)));
+                const coverage = this.getCollectionCoverage(parts);
+                if (coverage.available > 0 && coverage.available < coverage.total && list.isConnected) {
+                    list.appendChild(this.createCollectionCard(collection, coverage));
+                }
+            } catch (error) {
+                console.error(`Error fetching collection ${collectionId}:`, error);
+            }
+        });
+        
+        if (list.children.length === 0) {
+            section.remove();
+        }
+    }
+    
+    // Count how many parts of a collection are in the library
+    getCollectionCoverage(parts) {
+        const available = parts.filter(part => this.getAvailabilityState(part) === 'available').length;
+        return { available: available, total: parts.length };
+    }
+    
+    // Create a collection card with its library coverage, e.g. "3/5 in library"
+    createCollectionCard(collection, coverage) {
+        const card = document.createElement('div');
+        card.className = 'card collection-card';
+        card.dataset.id = collection.id;
+        
+        const img = document.createElement('img');
+        img.src = collection.posterPath ?
+            `https://image.tmdb.org/t/p/w342${collection.posterPath}` :
+            'plugins/JellyfinJellyseerrIntegration/images/default-movie.png';
+        img.alt = collection.name;
+        card.appendChild(img);
+        
+        const title = document.createElement('div');
+        title.className = 'card-title';
+        title.textContent = collection.name;
+        card.appendChild(title);
+        
+        const info = document.createElement('div');
+        info.className = 'card-info';
+        info.textContent = `${coverage.available}/${coverage.total} in library`;
+        card.appendChild(info);
+        
+        card.addEventListener('click', () => {
+            this.openCollection(collection.id);
+        });
+        
+        return card;
+    }
+    
     // Create a network card
     createNetworkCard(network) {
         const card = document.createElement('div');
@@ -201,6 +924,24 @@ class JellyseerrIntegrationPlugin {
         return card;
     }
     
+    // Create a genre card for the browse page
+    createGenreCard(genre) {
+        const card = document.createElement('div');
+        card.className = 'card genre-card';
+        card.dataset.id = genre.id;
+        
+        const title = document.createElement('div');
+        title.className = 'card-title';
+        title.textContent = genre.name;
+        card.appendChild(title);
+        
+        card.addEventListener('click', () => {
+            this.openGenreContent(genre);
+        });
+        
+        return card;
+    }
+    
     // Create a studio card
     createStudioCard(studio) {
         const card = document.createElement('div');
@@ -249,34 +990,190 @@ class JellyseerrIntegrationPlugin {
         Jellyfin.Navigation.navigate(`/jellyseerr/studio/${studio.id}`);
     }
     
-    // Render custom view based on path
-    async renderCustomView(path) {
-        const container = document.querySelector('#content-container');
-        if (!container) return;
-        
-        container.innerHTML = '';
-        
-        if (path === '/jellyseerr/browse') {
-            this.renderBrowsePage(container);
-        } else if (path.startsWith('/jellyseerr/network/')) {
-            const networkId = path.split('/').pop();
-            await this.renderNetworkContentPage(container, networkId);
-        } else if (path.startsWith('/jellyseerr/studio/')) {
-            const studioId = path.split('/').pop();
-            await this.renderStudioContentPage(container, studioId);
-        }
+    // Open genre content page
+    openGenreContent(genre) {
+        Jellyfin.Navigation.navigate(`/jellyseerr/genre/${genre.id}`);
     }
     
-    // Render browse page with all networks and studios
-    renderBrowsePage(container) {
-        const pageContainer = document.createElement('div');
-        pageContainer.className = 'browse-page';
+    // Open keyword content page
+    openKeywordContent(keyword) {
+        Jellyfin.Navigation.navigate(`/jellyseerr/keyword/${keyword.id}`);
+    }
+    
+    // Open person page (TMDB person id)
+    openPerson(personId) {
+        Jellyfin.Navigation.navigate(`/jellyseerr/person/${personId}`);
+    }
+    
+    // Open collection page (TMDB collection id)
+    openCollection(collectionId) {
+        Jellyfin.Navigation.navigate(`/jellyseerr/collection/${collectionId}`);
+    }
+    
+    // Open search page, optionally with a query and results page
+    openSearch(query = '', page = 1) {
+        if (typeof query !== 'string' || !query) {
+            Jellyfin.Navigation.navigate('/jellyseerr/search');
+            return;
+        }
+        
+        const params = new URLSearchParams({ q: query });
+        if (page > 1) {
+            params.set('page', page);
+        }
+        Jellyfin.Navigation.navigate(`/jellyseerr/search?${params.toString()}`);
+    }
+    
+    // Open "My Requests" page
+    openRequestsPage() {
+        Jellyfin.Navigation.navigate('/jellyseerr/requests');
+    }
+    
+    // Open request approval queue (administrators only)
+    openApprovalQueue() {
+        Jellyfin.Navigation.navigate('/jellyseerr/admin/requests');
+    }
+    
+    // Open the watchlist
+    openWatchlist() {
+        Jellyfin.Navigation.navigate('/jellyseerr/watchlist');
+    }
+    
+    // Open Jellyfin to Jellyseerr user mapping settings (administrators only)
+    openUserMapping() {
+        Jellyfin.Navigation.navigate('/jellyseerr/admin/users');
+    }
+    
+    // Render custom view based on path
+    async renderCustomView(path) {
+        const container = document.querySelector('#content-container');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        // Cancel requests still running for the previous view
+        if (this.viewAbortController) {
+            this.viewAbortController.abort();
+        }
+        this.viewAbortController = new AbortController();
+        
+        // Render into a fresh element, so late responses for a previous view end up detached
+        // instead of rendering over this one
+        const viewContainer = document.createElement('div');
+        viewContainer.className = 'jellyseerr-view';
+        container.appendChild(viewContainer);
+        
+        // Split off the query string (e.g. /jellyseerr/search?q=...)
+        const [route, queryString] = path.split('?');
+        const query = new URLSearchParams(queryString || '');
+        
+        if (route === '/jellyseerr/browse') {
+            this.renderBrowsePage(viewContainer);
+        } else if (route.startsWith('/jellyseerr/network/')) {
+            const networkId = route.split('/').pop();
+            await this.renderNetworkContentPage(viewContainer, networkId, this.parseContentFilters(query));
+        } else if (route.startsWith('/jellyseerr/studio/')) {
+            const studioId = route.split('/').pop();
+            await this.renderStudioContentPage(viewContainer, studioId, this.parseContentFilters(query));
+        } else if (route.startsWith('/jellyseerr/genre/')) {
+            const genreId = route.split('/').pop();
+            await this.renderGenreContentPage(viewContainer, genreId, this.parseContentFilters(query));
+        } else if (route.startsWith('/jellyseerr/keyword/')) {
+            const keywordId = route.split('/').pop();
+            await this.renderKeywordContentPage(viewContainer, keywordId, this.parseContentFilters(query));
+        } else if (route.startsWith('/jellyseerr/person/')) {
+            const personId = route.split('/').pop();
+            await this.renderPersonPage(viewContainer, personId);
+        } else if (route.startsWith('/jellyseerr/collection/')) {
+            const collectionId = route.split('/').pop();
+            await this.renderCollectionPage(viewContainer, collectionId);
+        } else if (route === '/jellyseerr/search') {
+            await this.renderSearchPage(viewContainer, query.get('q') || '', parseInt(query.get('page'), 10) || 1);
+        } else if (route === '/jellyseerr/requests') {
+            await this.renderRequestsPage(viewContainer);
+        } else if (route === '/jellyseerr/watchlist') {
+            await this.renderWatchlistPage(viewContainer);
+        } else if (route === '/jellyseerr/admin/requests') {
+            await this.renderApprovalQueuePage(viewContainer);
+        } else if (route === '/jellyseerr/admin/users') {
+            await this.renderUserMappingPage(viewContainer);
+        }
+    }
+    
+    // Get the abort signal of the current view (aborted when the user navigates away)
+    getViewSignal() {
+        return this.viewAbortController ? this.viewAbortController.signal : null;
+    }
+    
+    // Describe a failed Jellyseerr call for the user, based on the error type
+    describeError(error, fallback) {
+        if (error instanceof JellyseerrUnlinkedUserError) {
+            return 'Your Jellyfin account is not linked to a Jellyseerr account. Ask an administrator to link it on the Jellyseerr User Mapping page.';
+        }
+        if (error instanceof JellyseerrAuthError) {
+            return 'Jellyseerr rejected the request. Check the API key and its permissions in the plugin settings.';
+        }
+        if (error instanceof JellyseerrNotFoundError) {
+            return 'Jellyseerr could not find what you were looking for.';
+        }
+        if (error instanceof JellyseerrRateLimitError) {
+            return 'Too many requests to Jellyseerr. Please try again in a moment.';
+        }
+        if (error instanceof JellyseerrServerError) {
+            return 'Jellyseerr ran into a problem. Please try again later.';
+        }
+        if (error instanceof JellyseerrOfflineError) {
+            return error.timedOut ?
+                'Jellyseerr is taking too long to respond. Please try again later.' :
+                'Jellyseerr is unreachable. Check your connection and the Jellyseerr URL.';
+        }
+        return fallback;
+    }
+    
+    // Create an error message with a retry button
+    createErrorState(message, onRetry) {
+        const errorState = document.createElement('div');
+        errorState.className = 'error-message';
+        errorState.textContent = message;
+        
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'refresh-button retry-button';
+        retryBtn.textContent = 'Retry';
+        retryBtn.addEventListener('click', onRetry);
+        errorState.appendChild(retryBtn);
+        
+        return errorState;
+    }
+    
+    // Map items with an async function, running at most limit calls at the same time (results keep the item order)
+    async mapWithConcurrency(items, limit, mapper) {
+        const results = new Array(items.length);
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await mapper(items[index], index);
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+    
+    // Render browse page with all networks and studios
+    renderBrowsePage(container) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'browse-page';
         
         // Page title
         const title = document.createElement('h1');
         title.textContent = 'Browse Networks & Studios';
         pageContainer.appendChild(title);
         
+        // Search for anything not tied to a network or studio
+        pageContainer.appendChild(this.createSearchForm());
+        
         // Networks section
         const networksSection = document.createElement('div');
         networksSection.className = 'browse-section';
@@ -321,14 +1218,41 @@ class JellyseerrIntegrationPlugin {
         studiosSection.appendChild(studiosGrid);
         pageContainer.appendChild(studiosSection);
         
+        // Genres section (filled in once the genre list has loaded)
+        const genresSection = document.createElement('div');
+        genresSection.className = 'browse-section';
+        
+        const genresTitle = document.createElement('h2');
+        genresTitle.textContent = 'Genres';
+        genresSection.appendChild(genresTitle);
+        
+        const genresGrid = document.createElement('div');
+        genresGrid.className = 'grid-container';
+        genresGrid.textContent = 'Loading genres...';
+        
+        this.getGenres()
+            .then(genres => {
+                genresGrid.textContent = '';
+                genres.forEach(genre => {
+                    genresGrid.appendChild(this.createGenreCard(genre));
+                });
+            })
+            .catch(error => {
+                console.error("Error fetching genres:", error);
+                genresGrid.textContent = this.describeError(error, 'Failed to load genres.');
+            });
+        
+        genresSection.appendChild(genresGrid);
+        pageContainer.appendChild(genresSection);
+        
         container.appendChild(pageContainer);
     }
     
     // Render network content page
-    async renderNetworkContentPage(container, networkId) {
+    async renderNetworkContentPage(container, networkId, filters = defaultContentFilters) {
         const network = this.networkCache[networkId];
         if (!network) {
-            container.innerHTML = '<h1>Network not found</h1>';
+            container.replaceChildren(this.createNotFoundHeading('Network not found'));
             return;
         }
         
@@ -352,27 +1276,26 @@ class JellyseerrIntegrationPlugin {
         header.appendChild(title);
         pageContainer.appendChild(header);
         
+        // Filter and sort toolbar
+        pageContainer.appendChild(this.createContentToolbar(`/jellyseerr/network/${networkId}`, filters));
+        
         // Get content for this network
         try {
-            const content = await this.serverConnector.getNetworkContent(networkId);
-            
-            // Movies section
-            if (content.movies && content.movies.length > 0) {
-                const moviesSection = this.createContentSection('Movies', content.movies);
-                pageContainer.appendChild(moviesSection);
-            }
-            
-            // TV Shows section
-            if (content.tvShows && content.tvShows.length > 0) {
-                const tvShowsSection = this.createContentSection('TV Shows', content.tvShows);
-                pageContainer.appendChild(tvShowsSection);
-            }
-            
+            await this.renderPagedContent(pageContainer, `network-${networkId}`, (page, mediaType, onRevalidate) =>
+                this.serverConnector.getNetworkContent(networkId, {
+                    page: page,
+                    mediaType: mediaType,
+                    filters: filters,
+                    onRevalidate: onRevalidate,
+                    signal: this.getViewSignal()
+                }), filters);
         } catch (error) {
+            if (error.name === 'AbortError') return;
+            
             console.error(`Error fetching content for network ${networkId}:`, error);
             const errorMsg = document.createElement('div');
             errorMsg.className = 'error-message';
-            errorMsg.textContent = 'Failed to load content for this network.';
+            errorMsg.textContent = this.describeError(error, 'Failed to load content for this network.');
             pageContainer.appendChild(errorMsg);
         }
         
@@ -380,10 +1303,10 @@ class JellyseerrIntegrationPlugin {
     }
     
     // Render studio content page
-    async renderStudioContentPage(container, studioId) {
+    async renderStudioContentPage(container, studioId, filters = defaultContentFilters) {
         const studio = this.studioCache[studioId];
         if (!studio) {
-            container.innerHTML = '<h1>Studio not found</h1>';
+            container.replaceChildren(this.createNotFoundHeading('Studio not found'));
             return;
         }
         
@@ -407,723 +1330,5104 @@ class JellyseerrIntegrationPlugin {
         header.appendChild(title);
         pageContainer.appendChild(header);
         
+        // Filter and sort toolbar
+        pageContainer.appendChild(this.createContentToolbar(`/jellyseerr/studio/${studioId}`, filters));
+        
         // Get content for this studio
         try {
-            const content = await this.serverConnector.getStudioContent(studioId);
+            await this.renderPagedContent(pageContainer, `studio-${studioId}`, (page, mediaType, onRevalidate) =>
+                this.serverConnector.getStudioContent(studioId, {
+                    page: page,
+                    mediaType: mediaType,
+                    filters: filters,
+                    onRevalidate: onRevalidate,
+                    signal: this.getViewSignal()
+                }), filters);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
             
-            // Movies section
-            if (content.movies && content.movies.length > 0) {
-                const moviesSection = this.createContentSection('Movies', content.movies);
-                pageContainer.appendChild(moviesSection);
+            console.error(`Error fetching content for studio ${studioId}:`, error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = this.describeError(error, 'Failed to load content for this studio.');
+            pageContainer.appendChild(errorMsg);
+        }
+        
+        container.appendChild(pageContainer);
+    }
+    
+    // Render genre content page (movies and/or TV shows, depending on which the genre applies to)
+    async renderGenreContentPage(container, genreId, filters = defaultContentFilters) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page genre-content-page';
+        
+        const header = document.createElement('div');
+        header.className = 'content-header';
+        
+        const title = document.createElement('h1');
+        header.appendChild(title);
+        pageContainer.appendChild(header);
+        container.appendChild(pageContainer);
+        
+        try {
+            const genres = await this.getGenres();
+            const genre = genres.find(genre => String(genre.id) === String(genreId));
+            if (!genre) {
+                title.textContent = 'Genre not found';
+                return;
             }
+            title.textContent = genre.name;
             
-            // TV Shows section
-            if (content.tvShows && content.tvShows.length > 0) {
-                const tvShowsSection = this.createContentSection('TV Shows', content.tvShows);
-                pageContainer.appendChild(tvShowsSection);
-            }
+            // Filter and sort toolbar
+            pageContainer.appendChild(this.createContentToolbar(`/jellyseerr/genre/${genreId}`, filters));
             
+            await this.renderPagedContent(pageContainer, `genre-${genreId}`, async (page, mediaType, onRevalidate) =>
+                this.normalizeContentPage(await this.serverConnector.getDiscoverContent({ genre: genreId }, {
+                    page: page,
+                    mediaType: mediaType,
+                    mediaTypes: genre.mediaTypes,
+                    filters: filters,
+                    onRevalidate: onRevalidate,
+                    signal: this.getViewSignal()
+                })), filters);
         } catch (error) {
-            console.error(`Error fetching content for studio ${studioId}:`, error);
+            if (error.name === 'AbortError') return;
+            
+            console.error(`Error fetching content for genre ${genreId}:`, error);
             const errorMsg = document.createElement('div');
             errorMsg.className = 'error-message';
-            errorMsg.textContent = 'Failed to load content for this studio.';
+            errorMsg.textContent = this.describeError(error, 'Failed to load content for this genre.');
             pageContainer.appendChild(errorMsg);
         }
+    }
+    
+    // Render keyword content page (e.g. "anime" or "time travel")
+    async renderKeywordContentPage(container, keywordId, filters = defaultContentFilters) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page keyword-content-page';
         
+        const header = document.createElement('div');
+        header.className = 'content-header';
+        
+        const title = document.createElement('h1');
+        header.appendChild(title);
+        pageContainer.appendChild(header);
         container.appendChild(pageContainer);
+        
+        try {
+            const keyword = await this.serverConnector.getKeyword(keywordId);
+            title.textContent = keyword.name;
+            
+            // Filter and sort toolbar
+            pageContainer.appendChild(this.createContentToolbar(`/jellyseerr/keyword/${keywordId}`, filters));
+            
+            await this.renderPagedContent(pageContainer, `keyword-${keywordId}`, async (page, mediaType, onRevalidate) =>
+                this.normalizeContentPage(await this.serverConnector.getDiscoverContent({ keywords: keywordId }, {
+                    page: page,
+                    mediaType: mediaType,
+                    filters: filters,
+                    onRevalidate: onRevalidate,
+                    signal: this.getViewSignal()
+                })), filters);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.error(`Error fetching content for keyword ${keywordId}:`, error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = this.describeError(error, 'Failed to load content for this keyword.');
+            pageContainer.appendChild(errorMsg);
+        }
     }
     
-    // Create a content section (movies or TV shows)
-    createContentSection(title, items) {
-        const section = document.createElement('div');
-        section.className = 'content-section';
+    // Render a person page: photo, biography and combined movie/TV credits split into in library and missing
+    async renderPersonPage(container, personId) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page person-page';
+        container.appendChild(pageContainer);
         
-        const sectionTitle = document.createElement('h2');
-        sectionTitle.textContent = title;
-        section.appendChild(sectionTitle);
+        const signal = this.getViewSignal();
+        let person;
+        let credits;
+        try {
+            [person, credits] = await Promise.all([
+                this.serverConnector.getPerson(personId, signal),
+                this.serverConnector.getPersonCredits(personId, signal)
+            ]);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.error(`Error fetching person ${personId}:`, error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = this.describeError(error, 'Failed to load this person.');
+            pageContainer.appendChild(errorMsg);
+            return;
+        }
         
-        const contentGrid = document.createElement('div');
-        contentGrid.className = 'content-grid';
+        pageContainer.appendChild(this.createPersonHeader(person));
         
-        // Add content items
-        items.forEach(item => {
-            const contentCard = this.createContentCard(item);
-            contentGrid.appendChild(contentCard);
+        // Acting and crew credits, once per title, most popular first
+        const seen = new Set();
+        const items = (credits.cast || []).concat(credits.crew || [])
+            .filter(credit => credit.mediaType === 'movie' || credit.mediaType === 'tv')
+            .filter(credit => {
+                const key = this.getRequestKey(credit.mediaType, credit.id);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(credit => this.normalizeMediaItem(credit))
+            .sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+        
+        const inLibrary = items.filter(item => {
+            const state = this.getAvailabilityState(item);
+            return state === 'available' || state === 'partially-available';
         });
+        const missing = items.filter(item => !inLibrary.includes(item));
         
-        section.appendChild(contentGrid);
-        return section;
+        if (inLibrary.length > 0) {
+            pageContainer.appendChild(this.createContentSection(`In Your Library (${inLibrary.length})`, inLibrary));
+        }
+        if (missing.length > 0) {
+            pageContainer.appendChild(this.createContentSection(`Missing (${missing.length})`, missing));
+        }
+        if (items.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.className = 'empty-message';
+            emptyMsg.textContent = 'No movie or TV credits found.';
+            pageContainer.appendChild(emptyMsg);
+        }
     }
     
-    // Create a content card (movie or TV show)
-    createContentCard(item) {
-        const card = document.createElement('div');
-        card.className = 'content-card';
-        card.dataset.id = item.id;
-        card.dataset.mediaType = item.mediaType;
+    // Create the person page header with photo, name, dates and biography
+    createPersonHeader(person) {
+        const header = document.createElement('div');
+        header.className = 'person-header';
         
-        // Card image
-        const imgContainer = document.createElement('div');
-        imgContainer.className = 'card-img';
+        const photo = document.createElement('img');
+        photo.className = 'person-photo';
+        photo.src = person.profilePath ?
+            `https://image.tmdb.org/t/p/w300${person.profilePath}` :
+            'plugins/JellyfinJellyseerrIntegration/images/default-person.png';
+        photo.alt = person.name;
+        header.appendChild(photo);
         
-        const img = document.createElement('img');
-        img.src = item.posterPath ? 
-            `https://image.tmdb.org/t/p/w342${item.posterPath}` : 
-            `plugins/JellyfinJellyseerrIntegration/images/default-${item.mediaType}.png`;
-        img.alt = item.title || item.name;
+        const info = document.createElement('div');
+        info.className = 'person-info';
         
-        imgContainer.appendChild(img);
+        const name = document.createElement('h1');
+        name.textContent = person.name;
+        info.appendChild(name);
         
-        // Add availability badge
-        const badge = document.createElement('div');
-        badge.className = `availability-badge ${item.available ? 'available' : 'not-available'}`;
-        badge.textContent = item.available ? 'Available' : 'Not Available';
-        imgContainer.appendChild(badge);
+        if (person.knownForDepartment) {
+            info.appendChild(this.createDetailItem('Known for:', person.knownForDepartment));
+        }
+        if (person.birthday) {
+            const born = new Date(person.birthday).toLocaleDateString();
+            info.appendChild(this.createDetailItem('Born:', person.placeOfBirth ? `${born} in ${person.placeOfBirth}` : born));
+        }
+        if (person.deathday) {
+            info.appendChild(this.createDetailItem('Died:', new Date(person.deathday).toLocaleDateString()));
+        }
         
-        card.appendChild(imgContainer);
+        if (person.biography) {
+            const biography = document.createElement('p');
+            biography.className = 'person-biography';
+            biography.textContent = person.biography;
+            info.appendChild(biography);
+        }
         
-        // Card title
-        const title = document.createElement('div');
-        title.className = 'card-title';
-        title.textContent = item.title || item.name;
-        card.appendChild(title);
+        header.appendChild(info);
+        return header;
+    }
+    
+    // Render a collection page: every movie of a TMDB collection with a "Request All Missing" action
+    async renderCollectionPage(container, collectionId) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page collection-page';
+        container.appendChild(pageContainer);
+        
+        let collection;
+        try {
+            collection = await this.serverConnector.getCollection(collectionId, this.getViewSignal());
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.error(`Error fetching collection ${collectionId}:`, error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = this.describeError(error, 'Failed to load this collection.');
+            pageContainer.appendChild(errorMsg);
+            return;
+        }
+        
+        // Parts in release order
+        const parts = (collection.parts || [])
+            .map(part => this.normalizeMediaItem(Object.assign({ mediaType: 'movie' }, part)))
+            .sort((a, b) => new Date(a.releaseDate || '9999') - new Date(b.releaseDate || '9999'));
+        const coverage = this.getCollectionCoverage(parts);
+        let missing = parts.filter(part => this.getAvailabilityState(part) === 'not-available');
+        
+        const header = document.createElement('div');
+        header.className = 'person-header collection-header';
+        
+        const poster = document.createElement('img');
+        poster.className = 'person-photo';
+        poster.src = collection.posterPath ?
+            `https://image.tmdb.org/t/p/w300${collection.posterPath}` :
+            'plugins/JellyfinJellyseerrIntegration/images/default-movie.png';
+        poster.alt = collection.name;
+        header.appendChild(poster);
         
-        // Card info
         const info = document.createElement('div');
-        info.className = 'card-info';
+        info.className = 'person-info';
         
-        if (item.releaseDate || item.firstAirDate) {
-            const date = new Date(item.releaseDate || item.firstAirDate);
-            const year = date.getFullYear();
-            info.textContent = year;
-        }
+        const title = document.createElement('h1');
+        title.textContent = collection.name;
+        info.appendChild(title);
         
-        card.appendChild(info);
+        info.appendChild(this.createDetailItem('In library:', `${coverage.available} of ${coverage.total} movies`));
         
-        // Request button (if not available)
-        if (!item.available) {
-            const requestBtn = document.createElement('button');
-            requestBtn.className = 'request-button';
-            requestBtn.textContent = 'Request';
-            requestBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.requestContent(item);
-            });
-            card.appendChild(requestBtn);
+        if (collection.overview) {
+            const overview = document.createElement('p');
+            overview.className = 'person-biography';
+            overview.textContent = collection.overview;
+            info.appendChild(overview);
         }
         
-        // Add click handler to open item details
-        card.addEventListener('click', () => {
-            if (item.available) {
-                // If available, navigate to Jellyfin item
-                if (item.jellyfinId) {
-                    Jellyfin.Navigation.navigate(`/details?id=${item.jellyfinId}`);
-                }
-            } else {
-                // If not available, open details modal
-                this.openDetailsModal(item);
+        const requestAllBtn = document.createElement('button');
+        requestAllBtn.className = 'request-button request-all-button';
+        requestAllBtn.textContent = missing.length > 0 ? `Request All Missing (${missing.length})` : 'Nothing Missing';
+        requestAllBtn.disabled = missing.length === 0;
+        requestAllBtn.addEventListener('click', async () => {
+            requestAllBtn.disabled = true;
+            
+            const results = await this.requestBatch(missing, (done, total) => {
+                requestAllBtn.textContent = `Requesting ${done} of ${total}...`;
+            });
+            
+            // Failed and skipped movies stay missing, so they can be requested again
+            const total = missing.length;
+            missing = missing.filter(part => !results.requested.includes(part));
+            if (missing.length === 0) {
+                requestAllBtn.textContent = 'Requested';
+                return;
             }
+            requestAllBtn.textContent = `Requested ${total - missing.length} of ${total}, Retry (${missing.length})`;
+            requestAllBtn.disabled = false;
         });
+        info.appendChild(requestAllBtn);
         
-        return card;
+        header.appendChild(info);
+        pageContainer.appendChild(header);
+        
+        pageContainer.appendChild(this.createContentSection('Movies', parts));
     }
     
-    // Open details modal for content that's not in the library
-    openDetailsModal(item) {
-        // Check if modal container exists, create if not
-        let modalContainer = document.querySelector('#jellyseerr-modal-container');
-        if (!modalContainer) {
-            modalContainer = document.createElement('div');
-            modalContainer.id = 'jellyseerr-modal-container';
-            document.body.appendChild(modalContainer);
+    // Render paged movie and TV sections, keeping loaded pages so navigating back doesn't start over
+    // (filters other than availability are applied by Jellyseerr, so changing them starts again from page 1)
+    async renderPagedContent(pageContainer, cacheKey, fetchPage, filters = null) {
+        if (filters) {
+            const serverFilters = this.buildContentFilterQuery(Object.assign({}, filters, { availability: '' }));
+            cacheKey = serverFilters ? `${cacheKey}?${serverFilters}` : cacheKey;
         }
         
-        // Clear existing modal
-        modalContainer.innerHTML = '';
-        
-        // Create modal
-        const modal = document.createElement('div');
-        modal.className = 'jellyseerr-modal';
+        let state = this.contentPageCache[cacheKey];
         
-        // Modal header with close button
-        const header = document.createElement('div');
-        header.className = 'modal-header';
+        // Loaded pages are kept until the next data refresh is due
+        const maxAge = this.options.refreshInterval * 60 * 60 * 1000;
+        if (!state || Date.now() - state.loadedAt > maxAge) {
+            // A stale first page from the persistent cache is shown right away and replaced once revalidated,
+            // unless the user has already scrolled further
+            const onRevalidate = () => {
+                if (this.contentPageCache[cacheKey] === state && state.movies.page === 1 && state.tvShows.page === 1) {
+                    delete this.contentPageCache[cacheKey];
+                    if (pageContainer.isConnected) {
+                        this.renderCustomView(window.location.hash.substring(1));
+                    }
+                }
+            };
+            
+            // Movies and TV shows are paged separately from the first page on, each with its own page count
+            const [movies, tvShows] = await Promise.all([
+                fetchPage(1, 'movie', onRevalidate),
+                fetchPage(1, 'tv', onRevalidate)
+            ]);
+            
+            state = {
+                loadedAt: Date.now(),
+                movies: this.createContentPager(movies.movies, this.getPageCount(movies, 'movie'), async page => {
+                    const response = await fetchPage(page, 'movie');
+                    return { items: response.movies || [], totalPages: this.getPageCount(response, 'movie') };
+                }),
+                tvShows: this.createContentPager(tvShows.tvShows, this.getPageCount(tvShows, 'tv'), async page => {
+                    const response = await fetchPage(page, 'tv');
+                    return { items: response.tvShows || [], totalPages: this.getPageCount(response, 'tv') };
+                })
+            };
+            this.contentPageCache[cacheKey] = state;
+        }
         
-        const title = document.createElement('h2');
-        title.textContent = item.title || item.name;
+        // Movies section
+        if (state.movies.items.length > 0) {
+            const moviesSection = this.createContentSection('Movies', state.movies.items, state.movies, filters);
+            pageContainer.appendChild(moviesSection);
+        }
         
-        const closeBtn = document.createElement('button');
-        closeBtn.className = 'close-button';
-        closeBtn.innerHTML = '&times;';
-        closeBtn.addEventListener('click', () => {
-            modalContainer.innerHTML = '';
-            modalContainer.style.display = 'none';
+        // TV Shows section
+        if (state.tvShows.items.length > 0) {
+            const tvShowsSection = this.createContentSection('TV Shows', state.tvShows.items, state.tvShows, filters);
+            pageContainer.appendChild(tvShowsSection);
+        }
+    }
+    
+    // Read content page filters from a URL query
+    parseContentFilters(query) {
+        const filters = {};
+        Object.keys(defaultContentFilters).forEach(key => {
+            filters[key] = query.get(key) || defaultContentFilters[key];
+        });
+        return filters;
+    }
+    
+    // Build a URL query from content page filters, leaving out default values
+    buildContentFilterQuery(filters) {
+        const params = new URLSearchParams();
+        Object.keys(defaultContentFilters).forEach(key => {
+            if (filters[key] && filters[key] !== defaultContentFilters[key]) {
+                params.set(key, filters[key]);
+            }
         });
+        return params.toString();
+    }
+    
+    // Create the filter and sort toolbar for a content page; changes are written to the page URL
+    createContentToolbar(basePath, filters) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'content-toolbar';
         
-        header.appendChild(title);
-        header.appendChild(closeBtn);
-        modal.appendChild(header);
+        const update = (key, value) => {
+            const nextFilters = Object.assign({}, filters, { [key]: value });
+            const query = this.buildContentFilterQuery(nextFilters);
+            Jellyfin.Navigation.navigate(query ? `${basePath}?${query}` : basePath);
+        };
         
-        // Modal content
-        const content = document.createElement('div');
-        content.className = 'modal-content';
+        // Availability
+        toolbar.appendChild(this.createToolbarSelect('Availability', filters.availability, [
+            ['', 'All'],
+            ['available', 'Available'],
+            ['partially-available', 'Partially Available'],
+            ['missing', 'Missing'],
+            ['requested', 'Requested']
+        ], value => update('availability', value)));
         
-        // Poster image
-        const poster = document.createElement('img');
-        poster.className = 'modal-poster';
-        poster.src = item.posterPath ? 
-            `https://image.tmdb.org/t/p/w500${item.posterPath}` : 
-            `plugins/JellyfinJellyseerrIntegration/images/default-${item.mediaType}.png`;
-        poster.alt = item.title || item.name;
-        content.appendChild(poster);
+        // Genre (options are filled in once the genre list has loaded)
+        const genreField = this.createToolbarSelect('Genre', filters.genre, [['', 'All genres']], value => update('genre', value));
+        toolbar.appendChild(genreField);
+        this.getGenres()
+            .then(genres => {
+                const select = genreField.querySelector('select');
+                genres.forEach(genre => {
+                    const option = document.createElement('option');
+                    option.value = genre.id;
+                    option.textContent = genre.name;
+                    select.appendChild(option);
+                });
+                select.value = filters.genre;
+            })
+            .catch(error => console.error("Error fetching genres:", error));
         
-        // Details container
-        const details = document.createElement('div');
-        details.className = 'modal-details';
+        // Release year range
+        toolbar.appendChild(this.createToolbarInput('Year from', filters.yearFrom, value => update('yearFrom', value)));
+        toolbar.appendChild(this.createToolbarInput('Year to', filters.yearTo, value => update('yearTo', value)));
         
-        // Release year
-        if (item.releaseDate || item.firstAirDate) {
-            const date = new Date(item.releaseDate || item.firstAirDate);
-            const year = document.createElement('div');
-            year.className = 'detail-item';
-            year.innerHTML = `<span class="detail-label">Year:</span> ${date.getFullYear()}`;
-            details.appendChild(year);
-        }
+        // Minimum rating
+        toolbar.appendChild(this.createToolbarSelect('Min. rating', filters.minRating, [
+            ['', 'Any'],
+            ['5', '5+'],
+            ['6', '6+'],
+            ['7', '7+'],
+            ['8', '8+'],
+            ['9', '9+']
+        ], value => update('minRating', value)));
         
-        // Overview
-        if (item.overview) {
-            const overview = document.createElement('div');
-            overview.className = 'detail-item overview';
-            overview.innerHTML = `<span class="detail-label">Overview:</span> ${item.overview}`;
-            details.appendChild(overview);
+        // Sorting
+        toolbar.appendChild(this.createToolbarSelect('Sort by', filters.sort, [
+            ['popularity', 'Popularity'],
+            ['releaseDate', 'Release date'],
+            ['title', 'Title'],
+            ['rating', 'Rating']
+        ], value => update('sort', value)));
+        
+        // Reset to defaults
+        if (this.buildContentFilterQuery(filters)) {
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'toolbar-reset';
+            resetBtn.textContent = 'Reset';
+            resetBtn.addEventListener('click', () => {
+                Jellyfin.Navigation.navigate(basePath);
+            });
+            toolbar.appendChild(resetBtn);
         }
         
-        // Request button
-        const requestBtn = document.createElement('button');
-        requestBtn.className = 'request-button modal-request-button';
-        requestBtn.textContent = 'Request';
-        requestBtn.addEventListener('click', () => {
-            this.requestContent(item);
-            modalContainer.innerHTML = '';
-            modalContainer.style.display = 'none';
+        return toolbar;
+    }
+    
+    // Create a labelled select for the content toolbar
+    createToolbarSelect(label, value, options, onChange) {
+        const field = document.createElement('label');
+        field.className = 'toolbar-field';
+        
+        const labelText = document.createElement('span');
+        labelText.textContent = label;
+        field.appendChild(labelText);
+        
+        const select = document.createElement('select');
+        options.forEach(([optionValue, optionLabel]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionLabel;
+            select.appendChild(option);
         });
-        details.appendChild(requestBtn);
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        field.appendChild(select);
         
-        content.appendChild(details);
-        modal.appendChild(content);
+        return field;
+    }
+    
+    // Create a labelled year input for the content toolbar
+    createToolbarInput(label, value, onChange) {
+        const field = document.createElement('label');
+        field.className = 'toolbar-field';
         
-        // Add modal to container and show
-        modalContainer.appendChild(modal);
-        modalContainer.style.display = 'flex';
+        const labelText = document.createElement('span');
+        labelText.textContent = label;
+        field.appendChild(labelText);
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 1900;
+        input.max = 2100;
+        input.placeholder = 'Any';
+        input.value = value;
+        input.addEventListener('change', () => onChange(input.value.trim()));
+        field.appendChild(input);
+        
+        return field;
     }
     
-    // Request content from Jellyseerr
-    async requestContent(item) {
+    // Get movie and TV genres from Jellyseerr, merged by id and sorted by name (cached)
+    // Each genre gets the media types it applies to, since TMDB uses different genres for movies and TV
+    async getGenres() {
+        if (!this.genreCache) {
+            const [movieGenres, tvGenres] = await Promise.all([
+                this.serverConnector.getGenres('movie'),
+                this.serverConnector.getGenres('tv')
+            ]);
+            
+            const genres = {};
+            const addGenres = (list, mediaType) => list.forEach(genre => {
+                genres[genre.id] = genres[genre.id] || Object.assign({}, genre, { mediaTypes: [] });
+                genres[genre.id].mediaTypes.push(mediaType);
+            });
+            addGenres(movieGenres, 'movie');
+            addGenres(tvGenres, 'tv');
+            this.genreCache = Object.values(genres).sort((a, b) => a.name.localeCompare(b.name));
+        }
+        
+        return this.genreCache;
+    }
+    
+    // Filter content items by availability, the one content page filter Jellyseerr can't apply (genre, year,
+    // rating and sorting are sent with the content requests)
+    applyContentFilters(items, filters) {
+        if (!filters.availability) {
+            return items;
+        }
+        
+        const wanted = filters.availability === 'missing' ? 'not-available' : filters.availability;
+        return items.filter(item => this.getAvailabilityState(item) === wanted);
+    }
+    
+    // Get the page count of one media type from a content page (discover content has one per type, network
+    // and studio content fetched for a single type has a shared one)
+    getPageCount(content, mediaType) {
+        const typeTotalPages = mediaType === 'movie' ? content.moviesTotalPages : content.tvShowsTotalPages;
+        return typeTotalPages !== undefined ? typeTotalPages : content.totalPages;
+    }
+    
+    // Create paging state for a content section
+    createContentPager(items, totalPages, fetchPage) {
+        return {
+            items: items ? items.slice() : [],
+            page: 1,
+            totalPages: totalPages || 1,
+            loading: false,
+            fetchPage: fetchPage
+        };
+    }
+    
+    // Render search page with results from Jellyseerr's search
+    async renderSearchPage(container, query, page) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page search-page';
+        
+        const title = document.createElement('h1');
+        title.textContent = 'Search & Request';
+        pageContainer.appendChild(title);
+        
+        pageContainer.appendChild(this.createSearchForm(query));
+        container.appendChild(pageContainer);
+        
+        if (!query) {
+            const hint = document.createElement('div');
+            hint.className = 'empty-message';
+            hint.textContent = 'Search for movies and TV shows to request.';
+            pageContainer.appendChild(hint);
+            return;
+        }
+        
         try {
-            const result = await this.serverConnector.requestContent(item.id, item.mediaType);
+            const response = await this.serverConnector.search(query, page, this.getViewSignal());
             
-            // Show success notification
-            this.showNotification('Success', `${item.title || item.name} has been requested.`, 'success');
+            // Search also returns people, only movies and TV shows can be requested
+            const items = (response.results || [])
+                .filter(result => result.mediaType === 'movie' || result.mediaType === 'tv')
+                .map(result => this.normalizeMediaItem(result));
             
-            // Update UI
-            const cards = document.querySelectorAll(`.content-card[data-id="${item.id}"][data-media-type="${item.mediaType}"]`);
-            cards.forEach(card => {
-                const badge = card.querySelector('.availability-badge');
-                if (badge) {
-                    badge.className = 'availability-badge requested';
-                    badge.textContent = 'Requested';
-                }
-                
-                const requestBtn = card.querySelector('.request-button');
-                if (requestBtn) {
-                    requestBtn.remove();
-                }
-            });
+            if (items.length === 0) {
+                const emptyMsg = document.createElement('div');
+                emptyMsg.className = 'empty-message';
+                emptyMsg.textContent = `No results found for "${query}".`;
+                pageContainer.appendChild(emptyMsg);
+            } else {
+                const resultsSection = this.createContentSection(`Results for "${query}"`, items);
+                pageContainer.appendChild(resultsSection);
+            }
             
+            if (response.totalPages > 1) {
+                pageContainer.appendChild(this.createSearchPager(query, page, response.totalPages));
+            }
         } catch (error) {
-            console.error(`Error requesting content ${item.id}:`, error);
-            this.showNotification('Error', `Failed to request ${item.title || item.name}.`, 'error');
+            if (error.name === 'AbortError') return;
+            
+            console.error(`Error searching Jellyseerr for "${query}":`, error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = this.describeError(error, 'Failed to search Jellyseerr.');
+            pageContainer.appendChild(errorMsg);
         }
     }
     
-    // Show notification
-    showNotification(title, message, type = 'info') {
-        // Check if notification container exists, create if not
-        let notifContainer = document.querySelector('#jellyseerr-notification-container');
-        if (!notifContainer) {
-            notifContainer = document.createElement('div');
-            notifContainer.id = 'jellyseerr-notification-container';
-            document.body.appendChild(notifContainer);
-        }
+    // Create a search form that navigates to the search page
+    createSearchForm(query = '') {
+        const form = document.createElement('form');
+        form.className = 'search-form';
         
-        // Create notification
-        const notification = document.createElement('div');
-        notification.className = `jellyseerr-notification ${type}`;
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = 'Search movies and TV shows...';
+        input.value = query;
+        form.appendChild(input);
         
-        // Notification content
-        const notifTitle = document.createElement('div');
-        notifTitle.className = 'notification-title';
-        notifTitle.textContent = title;
+        const submitBtn = document.createElement('button');
+        submitBtn.type = 'submit';
+        submitBtn.className = 'request-button';
+        submitBtn.textContent = 'Search';
+        form.appendChild(submitBtn);
         
-        const notifMessage = document.createElement('div');
-        notifMessage.className = 'notification-message';
-        notifMessage.textContent = message;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const value = input.value.trim();
+            if (value) {
+                this.openSearch(value);
+            }
+        });
         
-        notification.appendChild(notifTitle);
-        notification.appendChild(notifMessage);
+        return form;
+    }
+    
+    // Create previous/next page controls for search results
+    createSearchPager(query, page, totalPages) {
+        const pager = document.createElement('div');
+        pager.className = 'pager';
         
-        // Add to container
-        notifContainer.appendChild(notification);
+        const prevBtn = document.createElement('button');
+        prevBtn.textContent = 'Previous';
+        prevBtn.disabled = page <= 1;
+        prevBtn.addEventListener('click', () => this.openSearch(query, page - 1));
+        pager.appendChild(prevBtn);
         
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            notification.classList.add('fade-out');
-            setTimeout(() => {
-                notification.remove();
-            }, 500);
-        }, 5000);
+        const pageInfo = document.createElement('span');
+        pageInfo.className = 'pager-info';
+        pageInfo.textContent = `Page ${page} of ${totalPages}`;
+        pager.appendChild(pageInfo);
+        
+        const nextBtn = document.createElement('button');
+        nextBtn.textContent = 'Next';
+        nextBtn.disabled = page >= totalPages;
+        nextBtn.addEventListener('click', () => this.openSearch(query, page + 1));
+        pager.appendChild(nextBtn);
+        
+        return pager;
     }
     
-    // Update UI elements after data refresh
-    updateUI() {
-        // Find any displayed network/studio sections and update them
-        const homeSections = document.querySelectorAll('.networks-section, .studios-section');
-        if (homeSections.length > 0) {
-            const container = homeSections[0].parentElement;
-            this.renderNetworksAndStudios(container);
+    // Render "My Requests" page with the current user's requests and their status
+    async renderRequestsPage(container) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page requests-page';
+        
+        // Page header with refresh button
+        const header = document.createElement('div');
+        header.className = 'content-header';
+        
+        const title = document.createElement('h1');
+        title.textContent = 'My Requests';
+        header.appendChild(title);
+        
+        const refreshBtn = document.createElement('button');
+        refreshBtn.className = 'refresh-button';
+        refreshBtn.textContent = 'Refresh';
+        refreshBtn.addEventListener('click', () => {
+            this.renderCustomView('/jellyseerr/requests');
+        });
+        header.appendChild(refreshBtn);
+        
+        pageContainer.appendChild(header);
+        container.appendChild(pageContainer);
+        
+        try {
+            await this.loadRequests();
+        } catch (error) {
+            console.error("Error loading requests from Jellyseerr:", error);
+            pageContainer.appendChild(this.createErrorState(
+                this.describeError(error, 'Failed to load your requests.'),
+                () => this.renderCustomView('/jellyseerr/requests')));
+            return;
         }
         
-        // Check if we're on a custom page and refresh if needed
-        const path = window.location.hash.substring(1);
-        if (path.startsWith('/jellyseerr/')) {
-            this.renderCustomView(path);
+        await this.refreshQuota();
+        
+        // Remaining movie and TV requests
+        const quotaSummary = this.createQuotaSummary(['movie', 'tv']);
+        if (quotaSummary) {
+            pageContainer.appendChild(quotaSummary);
         }
-    }
-}
-
-// Server connector class for communicating with Jellyseerr
-class JellyseerrServerConnector {
-    constructor(options) {
-        this.baseUrl = options.jellyseerrUrl;
-        this.apiKey = options.jellyseerrApiKey;
+        
+        if (this.userRequests.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.className = 'empty-message';
+            emptyMsg.textContent = "You haven't requested anything yet.";
+            pageContainer.appendChild(emptyMsg);
+            return;
+        }
+        
+        // Requests only carry TMDB ids, so fetch titles and posters for each one, a few at a time
+        const rows = await this.mapWithConcurrency(this.userRequests, detailsFetchConcurrency, async request => {
+            let details = null;
+            try {
+                details = await this.serverConnector.getMediaDetails(request.media.tmdbId, request.media.mediaType, this.getViewSignal());
+            } catch (error) {
+                console.error(`Error fetching details for request ${request.id}:`, error);
+            }
+            return this.createRequestRow(request, details);
+        });
+        
+        const requestList = document.createElement('div');
+        requestList.className = 'request-list';
+        rows.forEach(row => requestList.appendChild(row));
+        pageContainer.appendChild(requestList);
     }
     
-    // Make API request to Jellyseerr
-    async makeRequest(endpoint, method = 'GET', data = null) {
-        const url = `${this.baseUrl}/api/v1${endpoint}`;
+    // Render the watchlist with a "Request All" action for titles that aren't available or requested yet
+    async renderWatchlistPage(container) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page watchlist-page';
         
-        const options = {
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Api-Key': this.apiKey
-            }
-        };
+        const header = document.createElement('div');
+        header.className = 'content-header';
         
-        if (data && (method === 'POST' || method === 'PUT')) {
-            options.body = JSON.stringify(data);
+        const title = document.createElement('h1');
+        title.textContent = 'Watchlist';
+        header.appendChild(title);
+        
+        // Try again if loading the watchlist failed on startup
+        if (!this.watchlist.loaded) {
+            try {
+                await this.watchlist.load(this.jellyfinUser);
+            } catch (error) {
+                console.error("Error loading the watchlist:", error);
+                pageContainer.appendChild(header);
+                pageContainer.appendChild(this.createErrorState('Failed to load your watchlist.',
+                    () => this.renderCustomView('/jellyseerr/watchlist')));
+                container.appendChild(pageContainer);
+                return;
+            }
         }
         
-        const response = await fetch(url, options);
+        const entries = this.watchlist.getEntries();
+        const missing = entries.filter(entry => this.getAvailabilityState(entry) === 'not-available');
         
-        if (!response.ok) {
-            throw new Error(`Jellyseerr API error: ${response.status} ${response.statusText}`);
+        const requestAllBtn = document.createElement('button');
+        requestAllBtn.className = 'request-button request-all-button';
+        requestAllBtn.textContent = missing.length > 0 ? `Request All (${missing.length})` : 'Request All';
+        requestAllBtn.disabled = missing.length === 0;
+        requestAllBtn.addEventListener('click', async () => {
+            requestAllBtn.disabled = true;
+            
+            await this.requestBatch(missing, (done, total) => {
+                requestAllBtn.textContent = `Requesting ${done} of ${total}...`;
+            });
+            
+            this.renderCustomView('/jellyseerr/watchlist');
+        });
+        header.appendChild(requestAllBtn);
+        
+        pageContainer.appendChild(header);
+        container.appendChild(pageContainer);
+        
+        if (entries.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.className = 'empty-message';
+            emptyMsg.textContent = 'Your watchlist is empty. Use the bookmark on any title to save it for later.';
+            pageContainer.appendChild(emptyMsg);
+            return;
         }
         
-        return await response.json();
+        // Newly available titles first, then the most recently added
+        const sorted = entries.slice().sort((a, b) =>
+            (b.availableSince ? 1 : 0) - (a.availableSince ? 1 : 0) || new Date(b.addedAt) - new Date(a.addedAt));
+        const section = this.createContentSection('Saved for Later', sorted);
+        
+        // Flag titles that became available after they were added
+        sorted.forEach(entry => {
+            if (!entry.availableSince) return;
+            
+            const card = section.querySelector(this.getItemSelector('.content-card', entry.id, entry.mediaType));
+            if (card) {
+                card.classList.add('now-available');
+                const label = document.createElement('div');
+                label.className = 'now-available-label';
+                label.textContent = 'Now Available';
+                card.appendChild(label);
+            }
+        });
+        
+        pageContainer.appendChild(section);
     }
     
-    // Get all networks
-    async getNetworks() {
-        return await this.makeRequest('/networks');
+    // Render the approval queue with all pending requests (administrators only)
+    async renderApprovalQueuePage(container) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page approval-queue-page';
+        
+        const header = document.createElement('div');
+        header.className = 'content-header';
+        
+        const title = document.createElement('h1');
+        title.textContent = 'Request Approvals';
+        header.appendChild(title);
+        pageContainer.appendChild(header);
+        container.appendChild(pageContainer);
+        
+        if (!this.isAdmin()) {
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = 'Only administrators can approve or decline requests.';
+            pageContainer.appendChild(errorMsg);
+            return;
+        }
+        
+        const refreshBtn = document.createElement('button');
+        refreshBtn.className = 'refresh-button';
+        refreshBtn.textContent = 'Refresh';
+        refreshBtn.addEventListener('click', () => {
+            this.renderCustomView('/jellyseerr/admin/requests');
+        });
+        header.appendChild(refreshBtn);
+        
+        let requests;
+        try {
+            const response = await this.serverConnector.getRequests({
+                filter: 'pending',
+                take: 100,
+                signal: this.getViewSignal()
+            });
+            requests = response.results || [];
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.error("Error fetching pending requests:", error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = this.describeError(error, 'Failed to load pending requests.');
+            pageContainer.appendChild(errorMsg);
+            return;
+        }
+        
+        if (requests.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.className = 'empty-message';
+            emptyMsg.textContent = 'There are no pending requests.';
+            pageContainer.appendChild(emptyMsg);
+            return;
+        }
+        
+        const rows = await this.mapWithConcurrency(requests, detailsFetchConcurrency, async request => {
+            let details = null;
+            try {
+                details = await this.serverConnector.getMediaDetails(request.media.tmdbId, request.media.mediaType, this.getViewSignal());
+            } catch (error) {
+                console.error(`Error fetching details for request ${request.id}:`, error);
+            }
+            
+            const row = this.createRequestRow(request, details, { showRequester: true });
+            row.appendChild(this.createApprovalActions(request, row));
+            return row;
+        });
+        
+        const requestList = document.createElement('div');
+        requestList.className = 'request-list';
+        rows.forEach(row => requestList.appendChild(row));
+        pageContainer.appendChild(requestList);
     }
     
-    // Get all studios
-    async getStudios() {
-        return await this.makeRequest('/studios');
+    // Create approve / decline / decline-with-reason buttons for a pending request
+    createApprovalActions(request, row) {
+        const actions = document.createElement('div');
+        actions.className = 'request-actions';
+        // Keep clicks on the actions from opening the details modal
+        actions.addEventListener('click', (e) => e.stopPropagation());
+        
+        const approveBtn = document.createElement('button');
+        approveBtn.className = 'approve-button';
+        approveBtn.textContent = 'Approve';
+        approveBtn.addEventListener('click', () => {
+            this.updateRequestApproval(request, row, 'approve');
+        });
+        actions.appendChild(approveBtn);
+        
+        const declineBtn = document.createElement('button');
+        declineBtn.className = 'decline-button';
+        declineBtn.textContent = 'Decline';
+        declineBtn.addEventListener('click', () => {
+            this.updateRequestApproval(request, row, 'decline');
+        });
+        actions.appendChild(declineBtn);
+        
+        const reasonBtn = document.createElement('button');
+        reasonBtn.className = 'decline-button';
+        reasonBtn.textContent = 'Decline with reason';
+        reasonBtn.addEventListener('click', () => {
+            actions.replaceWith(this.createDeclineReasonForm(request, row, actions));
+        });
+        actions.appendChild(reasonBtn);
+        
+        return actions;
     }
     
-    // Get content for a specific network
-    async getNetworkContent(networkId) {
-        return await this.makeRequest(`/network/${networkId}/content`);
+    // Create an inline form to decline a request with a reason
+    createDeclineReasonForm(request, row, actions) {
+        const form = document.createElement('form');
+        form.className = 'decline-reason-form';
+        form.addEventListener('click', (e) => e.stopPropagation());
+        
+        const reasonInput = document.createElement('input');
+        reasonInput.type = 'text';
+        reasonInput.placeholder = 'Reason for declining';
+        reasonInput.required = true;
+        form.appendChild(reasonInput);
+        
+        const submitBtn = document.createElement('button');
+        submitBtn.type = 'submit';
+        submitBtn.className = 'decline-button';
+        submitBtn.textContent = 'Decline';
+        form.appendChild(submitBtn);
+        
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'cancel-button';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => {
+            form.replaceWith(actions);
+        });
+        form.appendChild(cancelBtn);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateRequestApproval(request, row, 'decline', reasonInput.value.trim());
+        });
+        
+        setTimeout(() => reasonInput.focus(), 0);
+        return form;
     }
     
-    // Get content for a specific studio
-    async getStudioContent(studioId) {
-        return await this.makeRequest(`/studio/${studioId}/content`);
+    // Approve or decline a request and remove it from the approval queue
+    async updateRequestApproval(request, row, action, reason = null) {
+        const title = row.querySelector('.request-title').textContent;
+        row.querySelectorAll('button').forEach(button => {
+            button.disabled = true;
+        });
+        
+        try {
+            if (action === 'approve') {
+                await this.serverConnector.approveRequest(request.id);
+                this.showNotification('Success', `Request for ${title} has been approved.`, 'success');
+            } else {
+                await this.serverConnector.declineRequest(request.id, reason);
+                this.showNotification('Success', `Request for ${title} has been declined.`, 'success');
+            }
+            
+            row.remove();
+        } catch (error) {
+            console.error(`Error trying to ${action} request ${request.id}:`, error);
+            this.showNotification('Error', this.describeError(error, `Failed to ${action} request for ${title}.`), 'error');
+            row.querySelectorAll('button').forEach(button => {
+                button.disabled = false;
+            });
+        }
     }
     
-    // Request content (movie or TV show)
-    async requestContent(id, mediaType) {
-        return await this.makeRequest(`/request`, 'POST', {
-            mediaId: id,
-            mediaType: mediaType
+    // Render the user mapping table (administrators only)
+    async renderUserMappingPage(container) {
+        const pageContainer = document.createElement('div');
+        pageContainer.className = 'content-page user-mapping-page';
+        
+        const header = document.createElement('div');
+        header.className = 'content-header';
+        
+        const title = document.createElement('h1');
+        title.textContent = 'Jellyseerr User Mapping';
+        header.appendChild(title);
+        pageContainer.appendChild(header);
+        container.appendChild(pageContainer);
+        
+        if (!this.isAdmin()) {
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = 'Only administrators can change the user mapping.';
+            pageContainer.appendChild(errorMsg);
+            return;
+        }
+        
+        const description = document.createElement('p');
+        description.className = 'page-description';
+        description.textContent = 'Requests made through Jellyfin are attributed to the mapped Jellyseerr user. ' +
+            'Unmapped users are matched automatically by Jellyfin account, username or email when auto-matching is enabled. ' +
+            'Users without a Jellyseerr account can browse but not request.';
+        pageContainer.appendChild(description);
+        
+        let jellyfinUsers, jellyseerrUsers;
+        try {
+            [jellyfinUsers, jellyseerrUsers] = await Promise.all([
+                Jellyfin.Api.getUsers(),
+                this.userMapper.getJellyseerrUsers(true)
+            ]);
+        } catch (error) {
+            console.error("Error loading users for mapping:", error);
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-message';
+            errorMsg.textContent = this.describeError(error, 'Failed to load Jellyfin or Jellyseerr users.');
+            pageContainer.appendChild(errorMsg);
+            return;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'user-mapping-table';
+        
+        const headRow = document.createElement('tr');
+        ['Jellyfin User', 'Jellyseerr User', 'Match'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        jellyfinUsers.forEach(jellyfinUser => {
+            tbody.appendChild(this.createUserMappingRow(jellyfinUser, jellyseerrUsers));
+        });
+        table.appendChild(tbody);
+        pageContainer.appendChild(table);
+        
+        // Actions
+        const actions = document.createElement('div');
+        actions.className = 'page-actions';
+        
+        const autoMatchBtn = document.createElement('button');
+        autoMatchBtn.className = 'refresh-button';
+        autoMatchBtn.textContent = 'Auto-match unmapped users';
+        autoMatchBtn.addEventListener('click', () => {
+            tbody.querySelectorAll('tr').forEach(row => {
+                const select = row.querySelector('select');
+                if (select.value) return;
+                
+                const jellyfinUser = jellyfinUsers.find(user => user.Id === row.dataset.jellyfinUserId);
+                const match = this.userMapper.findMatch(jellyfinUser, jellyseerrUsers);
+                if (match) {
+                    select.value = match.user.id;
+                    row.querySelector('.match-method').textContent = `Matched by ${match.method}`;
+                }
+            });
+        });
+        actions.appendChild(autoMatchBtn);
+        
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'request-button save-button';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            const mappings = {};
+            tbody.querySelectorAll('tr').forEach(row => {
+                const select = row.querySelector('select');
+                if (select.value) {
+                    mappings[row.dataset.jellyfinUserId] = Number(select.value);
+                }
+            });
+            this.saveUserMappings(mappings);
+        });
+        actions.appendChild(saveBtn);
+        
+        pageContainer.appendChild(actions);
+    }
+    
+    // Create a row of the user mapping table
+    createUserMappingRow(jellyfinUser, jellyseerrUsers) {
+        const row = document.createElement('tr');
+        row.dataset.jellyfinUserId = jellyfinUser.Id;
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = jellyfinUser.Name;
+        row.appendChild(nameCell);
+        
+        // Jellyseerr user select
+        const selectCell = document.createElement('td');
+        const select = document.createElement('select');
+        
+        const emptyOption = document.createElement('option');
+        emptyOption.value = '';
+        emptyOption.textContent = 'Not mapped';
+        select.appendChild(emptyOption);
+        
+        jellyseerrUsers.forEach(jellyseerrUser => {
+            const option = document.createElement('option');
+            option.value = jellyseerrUser.id;
+            option.textContent = jellyseerrUser.email ?
+                `${jellyseerrUser.displayName} (${jellyseerrUser.email})` :
+                jellyseerrUser.displayName;
+            select.appendChild(option);
+        });
+        
+        const mappedId = this.userMapper.mappings[jellyfinUser.Id];
+        select.value = mappedId ? String(mappedId) : '';
+        selectCell.appendChild(select);
+        row.appendChild(selectCell);
+        
+        // How the user is currently matched
+        const methodCell = document.createElement('td');
+        methodCell.className = 'match-method';
+        if (mappedId) {
+            methodCell.textContent = 'Manual';
+        } else {
+            const match = this.userMapper.autoMatch && this.userMapper.findMatch(jellyfinUser, jellyseerrUsers);
+            methodCell.textContent = match ? `Auto (${match.method}): ${match.user.displayName}` : 'None';
+        }
+        row.appendChild(methodCell);
+        
+        select.addEventListener('change', () => {
+            methodCell.textContent = select.value ? 'Manual' : 'None';
+        });
+        
+        return row;
+    }
+    
+    // Save the user mapping to the plugin configuration
+    async saveUserMappings(mappings) {
+        try {
+            // Saved into the full configuration (administrators get it with the API key), this.options has neither the
+            // key nor the saved language and region
+            const config = Object.assign({}, Jellyfin.getPluginConfig(pluginConfig.id), { userMappings: mappings });
+            await Jellyfin.savePluginConfig(pluginConfig.id, config);
+            
+            this.options.userMappings = mappings;
+            
+            this.userMapper.mappings = mappings;
+            // Re-resolve the current user's account in case their mapping changed
+            this.jellyseerrUser = null;
+            this.refreshRequests();
+            
+            this.showNotification('Success', 'User mapping has been saved.', 'success');
+        } catch (error) {
+            console.error("Error saving user mapping:", error);
+            this.showNotification('Error', 'Failed to save user mapping.', 'error');
+        }
+    }
+    
+    // Create a row for the "My Requests" page or the approval queue
+    createRequestRow(request, details, options = {}) {
+        const mediaType = request.media.mediaType;
+        const item = Object.assign({ id: request.media.tmdbId, mediaType: mediaType }, details);
+        
+        const row = document.createElement('div');
+        row.className = 'request-row';
+        row.dataset.requestId = request.id;
+        
+        // Poster
+        const poster = document.createElement('img');
+        poster.className = 'request-poster';
+        poster.src = item.posterPath ? 
+            `https://image.tmdb.org/t/p/w92${item.posterPath}` : 
+            `plugins/JellyfinJellyseerrIntegration/images/default-${mediaType}.png`;
+        poster.alt = item.title || item.name || '';
+        row.appendChild(poster);
+        
+        // Title and request info
+        const info = document.createElement('div');
+        info.className = 'request-info';
+        
+        const title = document.createElement('div');
+        title.className = 'request-title';
+        title.textContent = item.title || item.name || `TMDB #${request.media.tmdbId}`;
+        info.appendChild(title);
+        
+        const meta = document.createElement('div');
+        meta.className = 'request-meta';
+        const metaParts = [`Requested ${new Date(request.createdAt).toLocaleDateString()}`];
+        if (mediaType === 'tv' && request.seasons && request.seasons.length > 0) {
+            metaParts.push(`Seasons ${request.seasons.map(season => season.seasonNumber).join(', ')}`);
+        }
+        if (options.showRequester && request.requestedBy) {
+            metaParts.push(`by ${request.requestedBy.displayName || request.requestedBy.username || request.requestedBy.email}`);
+        }
+        meta.textContent = metaParts.join(' \u00b7 ');
+        info.appendChild(meta);
+        
+        row.appendChild(info);
+        
+        // Status badge
+        const status = this.getRequestStatus(request);
+        const statusBadge = document.createElement('div');
+        statusBadge.className = `request-status ${status}`;
+        statusBadge.textContent = requestStatusLabels[status];
+        row.appendChild(statusBadge);
+        
+        // Available requests link to the Jellyfin item, others open the details modal
+        row.addEventListener('click', () => {
+            const cached = this.requestCache[this.getRequestKey(mediaType, request.media.tmdbId)] || request;
+            if (this.getRequestStatus(cached) === 'available' && cached.media.jellyfinMediaId) {
+                Jellyfin.Navigation.navigate(`/details?id=${cached.media.jellyfinMediaId}`);
+            } else {
+                this.openDetailsModal(item);
+            }
+        });
+        
+        return row;
+    }
+    
+    // Create a content section (movies or TV shows), loading more pages on scroll when a pager is given
+    // and showing only the items matching the filters when given
+    createContentSection(title, items, pager = null, filters = null) {
+        const section = document.createElement('div');
+        section.className = 'content-section';
+        
+        const sectionTitle = document.createElement('h2');
+        sectionTitle.textContent = title;
+        section.appendChild(sectionTitle);
+        
+        // Selection mode for requesting several titles at once
+        const selection = this.createSelection(section);
+        section.appendChild(selection.bar);
+        
+        const contentGrid = document.createElement('div');
+        contentGrid.className = 'content-grid';
+        
+        const addCard = item => {
+            const contentCard = this.createContentCard(item);
+            selection.addCard(contentCard, item);
+            contentGrid.appendChild(contentCard);
+        };
+        
+        // Items come sorted from Jellyseerr, so loaded pages are only appended
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'empty-message';
+        
+        const renderItems = newItems => {
+            const visibleItems = filters ? this.applyContentFilters(newItems, filters) : newItems;
+            visibleItems.forEach(addCard);
+            
+            const hasCards = !!contentGrid.querySelector('.content-card');
+            const hasMorePages = !!pager && pager.page < pager.totalPages;
+            if (hasCards) {
+                emptyMsg.remove();
+            } else {
+                emptyMsg.textContent = hasMorePages ?
+                    'No titles on the pages loaded so far match the current filters.' :
+                    'No titles match the current filters.';
+                contentGrid.appendChild(emptyMsg);
+            }
+        };
+        renderItems(items);
+        
+        section.appendChild(contentGrid);
+        
+        if (pager && pager.page < pager.totalPages) {
+            section.appendChild(this.createInfiniteScrollLoader(pager, renderItems));
+        }
+        
+        return section;
+    }
+    
+    // Create the selection mode of a content section: a bar with select/request actions and a checkbox overlay
+    // on each card. Returns { bar, addCard(card, item) }.
+    createSelection(section) {
+        const selected = new Map();
+        const selectable = new Map();
+        const overlays = new Map();
+        
+        const bar = document.createElement('div');
+        bar.className = 'selection-bar';
+        
+        const createButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'selection-button';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            bar.appendChild(button);
+            return button;
+        };
+        
+        const progress = document.createElement('span');
+        progress.className = 'selection-progress';
+        
+        const update = () => {
+            overlays.forEach((overlay, key) => {
+                const isSelected = selected.has(key);
+                overlay.classList.toggle('selected', isSelected);
+                overlay.setAttribute('aria-checked', isSelected ? 'true' : 'false');
+            });
+            submitBtn.textContent = `Request Selected (${selected.size})`;
+            submitBtn.disabled = selected.size === 0;
+        };
+        
+        const setSelecting = selecting => {
+            section.classList.toggle('selecting', selecting);
+            selectBtn.hidden = selecting;
+            [selectAllBtn, submitBtn, cancelBtn].forEach(button => {
+                button.hidden = !selecting;
+            });
+            if (!selecting) {
+                selected.clear();
+                progress.textContent = '';
+            }
+            update();
+        };
+        
+        // Titles that were just requested can't be selected again (submitRequest already updated their badges)
+        const disableCard = key => {
+            selectable.delete(key);
+            const overlay = overlays.get(key);
+            if (overlay) {
+                overlay.classList.add('disabled');
+                overlay.title = 'Already available or requested';
+            }
+        };
+        
+        const selectBtn = createButton('Select', () => setSelecting(true));
+        
+        const selectAllBtn = createButton('Select All Missing', () => {
+            selectable.forEach((item, key) => selected.set(key, item));
+            update();
+        });
+        
+        const submitBtn = createButton('Request Selected (0)', async () => {
+            const items = Array.from(selected.values());
+            [selectAllBtn, submitBtn, cancelBtn].forEach(button => {
+                button.disabled = true;
+            });
+            
+            const results = await this.requestBatch(items, (done, total) => {
+                progress.textContent = `Requesting ${done} of ${total}...`;
+            });
+            results.requested.forEach(item => disableCard(this.getRequestKey(item.mediaType, item.id)));
+            
+            cancelBtn.disabled = false;
+            selectAllBtn.disabled = false;
+            setSelecting(false);
+        });
+        
+        const cancelBtn = createButton('Cancel', () => setSelecting(false));
+        bar.appendChild(progress);
+        
+        setSelecting(false);
+        
+        return {
+            bar: bar,
+            
+            // Cover a card with a checkbox overlay; only titles that can be requested in one go are selectable
+            addCard: (card, item) => {
+                const key = this.getRequestKey(item.mediaType, item.id);
+                const isSelectable = this.getAvailabilityState(item) === 'not-available';
+                
+                const overlay = document.createElement('div');
+                overlay.className = 'card-select';
+                overlay.setAttribute('role', 'checkbox');
+                overlay.classList.toggle('disabled', !isSelectable);
+                overlay.title = isSelectable ? 'Select' : 'Already available or requested';
+                overlay.addEventListener('click', e => {
+                    // Don't open the title while selecting
+                    e.stopPropagation();
+                    if (!selectable.has(key)) return;
+                    
+                    if (selected.has(key)) {
+                        selected.delete(key);
+                    } else {
+                        selected.set(key, item);
+                    }
+                    update();
+                });
+                card.appendChild(overlay);
+                
+                overlays.set(key, overlay);
+                if (isSelectable) {
+                    selectable.set(key, item);
+                }
+                update();
+            }
+        };
+    }
+    
+    // Create a loader that fetches the next page when scrolled into view (or clicked)
+    createInfiniteScrollLoader(pager, onPageLoaded) {
+        const loader = document.createElement('button');
+        loader.className = 'load-more-button';
+        loader.textContent = 'Load more';
+        
+        let observer = null;
+        
+        const loadNextPage = async () => {
+            if (pager.loading) return;
+            
+            pager.loading = true;
+            loader.disabled = true;
+            loader.textContent = 'Loading...';
+            
+            try {
+                const result = await pager.fetchPage(pager.page + 1);
+                pager.page++;
+                pager.totalPages = result.totalPages || pager.totalPages;
+                pager.items.push(...result.items);
+                onPageLoaded(result.items);
+                
+                // Stop once the last page has been loaded
+                if (pager.page >= pager.totalPages || result.items.length === 0) {
+                    if (observer) observer.disconnect();
+                    loader.remove();
+                    return;
+                }
+                
+                loader.textContent = 'Load more';
+                
+                // Re-observe so the next page loads if the loader is still in view
+                if (observer) {
+                    observer.unobserve(loader);
+                    observer.observe(loader);
+                }
+            } catch (error) {
+                console.error(`Error loading page ${pager.page + 1}:`, error);
+                loader.textContent = 'Failed to load more. Try again';
+            } finally {
+                pager.loading = false;
+                loader.disabled = false;
+            }
+        };
+        
+        loader.addEventListener('click', loadNextPage);
+        
+        // Start loading before the user actually reaches the bottom
+        if ('IntersectionObserver' in window) {
+            observer = new IntersectionObserver(entries => {
+                if (!loader.isConnected) {
+                    observer.disconnect();
+                    return;
+                }
+                if (entries.some(entry => entry.isIntersecting)) {
+                    loadNextPage();
+                }
+            }, { rootMargin: '600px' });
+            observer.observe(loader);
+        }
+        
+        return loader;
+    }
+    
+    // Create a content card (movie or TV show)
+    createContentCard(item) {
+        const card = document.createElement('div');
+        card.className = 'content-card';
+        card.dataset.id = item.id;
+        card.dataset.mediaType = item.mediaType;
+        
+        // Card image
+        const imgContainer = document.createElement('div');
+        imgContainer.className = 'card-img';
+        
+        const img = document.createElement('img');
+        img.src = item.posterPath ? 
+            `https://image.tmdb.org/t/p/w342${item.posterPath}` : 
+            `plugins/JellyfinJellyseerrIntegration/images/default-${item.mediaType}.png`;
+        img.alt = item.title || item.name;
+        
+        imgContainer.appendChild(img);
+        
+        // Add availability badge
+        const state = this.getAvailabilityState(item);
+        const badge = document.createElement('div');
+        badge.className = `availability-badge ${state}`;
+        badge.textContent = availabilityLabels[state];
+        imgContainer.appendChild(badge);
+        
+        // Watchlist bookmark
+        imgContainer.appendChild(this.createWatchlistToggle(item, 'card'));
+        
+        // Season coverage for partially available shows, e.g. "3/5 seasons"
+        const coverage = this.getSeasonCoverage(item);
+        if (state === 'partially-available' && coverage) {
+            const coverageLabel = document.createElement('div');
+            coverageLabel.className = 'season-coverage';
+            coverageLabel.textContent = `${coverage.available}/${coverage.total} seasons`;
+            imgContainer.appendChild(coverageLabel);
+        }
+        
+        card.appendChild(imgContainer);
+        
+        // Card title
+        const title = document.createElement('div');
+        title.className = 'card-title';
+        title.textContent = item.title || item.name;
+        card.appendChild(title);
+        
+        // Card info
+        const info = document.createElement('div');
+        info.className = 'card-info';
+        
+        if (item.releaseDate || item.firstAirDate) {
+            const date = new Date(item.releaseDate || item.firstAirDate);
+            const year = date.getFullYear();
+            info.textContent = year;
+        }
+        
+        card.appendChild(info);
+        
+        // Request button (if not available or requested)
+        if (state === 'not-available' || state === 'partially-available') {
+            const requestBtn = document.createElement('button');
+            requestBtn.className = 'request-button';
+            requestBtn.textContent = 'Request';
+            requestBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (state === 'partially-available') {
+                    // Let the user pick from the missing seasons
+                    this.openDetailsModal(item);
+                } else {
+                    this.requestContent(item);
+                }
+            });
+            this.setRequestButtonQuota(requestBtn, item.mediaType);
+            card.appendChild(requestBtn);
+        }
+        
+        // Add click handler to open item details
+        card.addEventListener('click', () => {
+            const currentState = this.getAvailabilityState(item);
+            const jellyfinId = this.getJellyfinId(item);
+            if (currentState === 'available') {
+                // If available, navigate to Jellyfin item
+                if (jellyfinId) {
+                    Jellyfin.Navigation.navigate(`/details?id=${jellyfinId}`);
+                }
+            } else if (currentState === 'partially-available' && jellyfinId) {
+                // Partially available shows can be watched, missing seasons are requested from the card button
+                Jellyfin.Navigation.navigate(`/details?id=${jellyfinId}`);
+            } else {
+                // If not available, open details modal
+                this.openDetailsModal(item);
+            }
+        });
+        
+        return card;
+    }
+    
+    // Convert a Jellyseerr search result into the content item shape used by content cards
+    normalizeMediaItem(result) {
+        const mediaInfo = result.mediaInfo || {};
+        
+        return Object.assign({}, result, {
+            available: mediaInfo.status === mediaStatus.AVAILABLE,
+            jellyfinId: mediaInfo.jellyfinMediaId || null
         });
     }
     
-    // Check if an item exists in the Jellyfin library
-    async checkLibraryStatus(tmdbId, mediaType) {
-        return await this.makeRequest(`/search/status?tmdbId=${tmdbId}&mediaType=${mediaType}`);
+    // Normalize the movies and TV shows of a content page built from discover results
+    normalizeContentPage(content) {
+        return Object.assign({}, content, {
+            movies: content.movies.map(result => this.normalizeMediaItem(result)),
+            tvShows: content.tvShows.map(result => this.normalizeMediaItem(result))
+        });
+    }
+    
+    // Build the key used to look up requests by media item
+    getRequestKey(mediaType, tmdbId) {
+        return `${mediaType}-${tmdbId}`;
+    }
+    
+    // Combine request and media status into a single status for display
+    getRequestStatus(request) {
+        const media = request.media || {};
+        
+        if (request.status === requestStatus.DECLINED) return 'declined';
+        if (media.status === mediaStatus.AVAILABLE) return 'available';
+        if (media.status === mediaStatus.PROCESSING) return 'processing';
+        if (request.status === requestStatus.APPROVED) return 'approved';
+        return 'pending';
     }
+    
+    // Get the availability state of a content item, taking the user's requests into account
+    getAvailabilityState(item) {
+        // Shows with only some seasons available; checked first since content endpoints also set available on them
+        const mediaInfo = item.mediaInfo || {};
+        if (mediaInfo.status === mediaStatus.PARTIALLY_AVAILABLE) {
+            return 'partially-available';
+        }
+        
+        if (item.available || mediaInfo.status === mediaStatus.AVAILABLE) {
+            return 'available';
+        }
+        
+        // The Jellyfin library is checked before requests since Jellyseerr only learns about new items on its next sync
+        const libraryId = this.libraryReconciler.findItemId(item);
+        const libraryState = libraryId ? this.getLibraryState(item, libraryId) : null;
+        if (libraryState === 'available') {
+            return 'available';
+        }
+        
+        const request = this.requestCache[this.getRequestKey(item.mediaType, item.id)];
+        const requestState = request ? this.getRequestStatus(request) : null;
+        if (requestState === 'available') {
+            return 'available';
+        }
+        
+        // A series in the library that may be missing seasons
+        if (libraryState) {
+            return libraryState;
+        }
+        
+        if (requestState && requestState !== 'declined') {
+            return 'requested';
+        }
+        
+        // Requested by someone else
+        if (mediaInfo.status === mediaStatus.PENDING || mediaInfo.status === mediaStatus.PROCESSING) {
+            return 'requested';
+        }
+        
+        return 'not-available';
+    }
+    
+    // Get the availability of an item found in the Jellyfin library. Movies are available; series only when the
+    // library has as many seasons as TMDB lists, since a series in the library may be missing seasons. A series
+    // whose season count can't be compared (no numberOfSeasons on list results) counts as partially available.
+    getLibraryState(item, jellyfinId) {
+        if (item.mediaType !== 'tv') {
+            return 'available';
+        }
+        
+        // List results have no season count, a series that can't be compared counts as available
+        const librarySeasons = this.libraryReconciler.getSeasonCount(jellyfinId);
+        if (!item.numberOfSeasons || librarySeasons === null || librarySeasons >= item.numberOfSeasons) {
+            return 'available';
+        }
+        return 'partially-available';
+    }
+    
+    // Get how many seasons of a TV show are available (from Jellyseerr or the Jellyfin library), or null if unknown
+    getSeasonCoverage(item) {
+        const mediaInfo = item.mediaInfo || {};
+        const seasons = (mediaInfo.seasons || []).filter(season => season.seasonNumber > 0);
+        const total = item.numberOfSeasons || seasons.length;
+        if (item.mediaType !== 'tv' || !total) {
+            return null;
+        }
+        
+        let available = seasons.filter(season => season.status === mediaStatus.AVAILABLE).length;
+        
+        // Jellyseerr may not have synced seasons that are already in the library
+        const libraryId = this.libraryReconciler.findItemId(item);
+        const librarySeasons = libraryId ? this.libraryReconciler.getSeasonCount(libraryId) : null;
+        if (librarySeasons !== null) {
+            available = Math.max(available, Math.min(librarySeasons, total));
+        }
+        
+        return { available: available, total: total };
+    }
+    
+    // Get the Jellyfin item id for a content item: the library match first, then the id reported by Jellyseerr
+    // on the item or its request
+    getJellyfinId(item) {
+        const libraryId = this.libraryReconciler.findItemId(item);
+        if (libraryId) {
+            return libraryId;
+        }
+        
+        if (item.jellyfinId) {
+            return item.jellyfinId;
+        }
+        
+        const request = this.requestCache[this.getRequestKey(item.mediaType, item.id)];
+        return request && request.media ? request.media.jellyfinMediaId : null;
+    }
+    
+    // Update the badge and request button of a content card
+    setCardAvailability(card, state) {
+        const badge = card.querySelector('.availability-badge');
+        if (badge) {
+            badge.className = `availability-badge ${state}`;
+            badge.textContent = availabilityLabels[state];
+        }
+        
+        if (state !== 'partially-available') {
+            const coverageLabel = card.querySelector('.season-coverage');
+            if (coverageLabel) {
+                coverageLabel.remove();
+            }
+        }
+        
+        if (state !== 'not-available' && state !== 'partially-available') {
+            const requestBtn = card.querySelector('.request-button');
+            if (requestBtn) {
+                requestBtn.remove();
+            }
+        }
+    }
+    
+    // Open details modal for content that's not in the library
+    openDetailsModal(item) {
+        // Check if modal container exists, create if not
+        let modalContainer = document.querySelector('#jellyseerr-modal-container');
+        if (!modalContainer) {
+            modalContainer = document.createElement('div');
+            modalContainer.id = 'jellyseerr-modal-container';
+            document.body.appendChild(modalContainer);
+        }
+        
+        // Clear existing modal
+        modalContainer.innerHTML = '';
+        
+        // Create modal
+        const modal = document.createElement('div');
+        modal.className = 'jellyseerr-modal';
+        
+        // Modal header with close button
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        
+        const title = document.createElement('h2');
+        title.textContent = item.title || item.name;
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'close-button';
+        closeBtn.textContent = '\u00D7';
+        closeBtn.addEventListener('click', () => {
+            modalContainer.innerHTML = '';
+            modalContainer.style.display = 'none';
+        });
+        
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+        modal.appendChild(header);
+        
+        // Modal content
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+        
+        // Poster image
+        const poster = document.createElement('img');
+        poster.className = 'modal-poster';
+        poster.src = item.posterPath ? 
+            `https://image.tmdb.org/t/p/w500${item.posterPath}` : 
+            `plugins/JellyfinJellyseerrIntegration/images/default-${item.mediaType}.png`;
+        poster.alt = item.title || item.name;
+        content.appendChild(poster);
+        
+        // Details container
+        const details = document.createElement('div');
+        details.className = 'modal-details';
+        
+        // Release year
+        if (item.releaseDate || item.firstAirDate) {
+            const date = new Date(item.releaseDate || item.firstAirDate);
+            details.appendChild(this.createDetailItem('Year:', date.getFullYear()));
+        }
+        
+        // Overview
+        if (item.overview) {
+            const overview = this.createDetailItem('Overview:', item.overview);
+            overview.classList.add('overview');
+            details.appendChild(overview);
+        }
+        
+        // Full details are loaded once and shared by the extra details and the season picker
+        const detailsPromise = this.serverConnector.getMediaDetails(item.id, item.mediaType);
+        
+        // Runtime, genres, content rating, scores and trailer
+        const extraDetails = document.createElement('div');
+        extraDetails.className = 'modal-extra-details';
+        extraDetails.textContent = 'Loading details...';
+        details.appendChild(extraDetails);
+        
+        // Season picker (TV shows only)
+        let seasonPicker = null;
+        if (item.mediaType === 'tv') {
+            seasonPicker = this.createSeasonPicker(item, detailsPromise);
+            details.appendChild(seasonPicker);
+        }
+        
+        // Server, quality profile and root folder choice (only shown to users allowed advanced requests)
+        const advancedOptions = this.createAdvancedRequestOptions(item);
+        details.appendChild(advancedOptions);
+        
+        // Remaining requests for this media type
+        const quotaSummary = this.createQuotaSummary([item.mediaType]);
+        if (quotaSummary) {
+            details.appendChild(quotaSummary);
+        }
+        
+        // Request button
+        const requestBtn = document.createElement('button');
+        requestBtn.className = 'request-button modal-request-button';
+        requestBtn.textContent = 'Request';
+        this.setRequestButtonQuota(requestBtn, item.mediaType);
+        requestBtn.addEventListener('click', () => {
+            const options = this.getAdvancedRequestOptions(advancedOptions);
+            if (seasonPicker) {
+                options.seasons = this.getSelectedSeasons(seasonPicker);
+                if (options.seasons && options.seasons.length === 0) {
+                    this.showNotification('Error', 'Select at least one season to request.', 'error');
+                    return;
+                }
+            }
+            
+            this.requestContent(item, options);
+            modalContainer.innerHTML = '';
+            modalContainer.style.display = 'none';
+        });
+        details.appendChild(requestBtn);
+        
+        // Save for later instead of requesting now
+        details.appendChild(this.createWatchlistToggle(item, 'modal'));
+        
+        content.appendChild(details);
+        modal.appendChild(content);
+        
+        // Cast & crew and similar titles below the main content
+        const extras = document.createElement('div');
+        extras.className = 'modal-extras';
+        modal.appendChild(extras);
+        
+        this.loadModalDetails(item, detailsPromise, extraDetails, extras);
+        
+        // Add modal to container and show
+        modalContainer.appendChild(modal);
+        modalContainer.style.display = 'flex';
+    }
+    
+    // Fill the details modal with full details, ratings, cast & crew and similar titles
+    async loadModalDetails(item, detailsPromise, extraDetails, extras) {
+        // Ratings come from separate endpoints and are optional
+        const ratingsPromise = this.serverConnector.getRatings(item.id, item.mediaType)
+            .catch(error => {
+                console.error(`Error fetching ratings for ${item.id}:`, error);
+                return null;
+            });
+        
+        let details;
+        try {
+            details = await detailsPromise;
+        } catch (error) {
+            console.error(`Error fetching details for ${item.id}:`, error);
+            extraDetails.textContent = '';
+            return;
+        }
+        
+        extraDetails.textContent = '';
+        
+        // Runtime
+        const runtime = item.mediaType === 'movie' ? details.runtime : (details.episodeRunTime || [])[0];
+        if (runtime) {
+            const hours = Math.floor(runtime / 60);
+            const minutes = runtime % 60;
+            const runtimeText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+            extraDetails.appendChild(this.createDetailItem('Runtime:', item.mediaType === 'tv' ? `${runtimeText} per episode` : runtimeText));
+        }
+        
+        // Genres and keywords link to their browse pages
+        if (details.genres && details.genres.length > 0) {
+            extraDetails.appendChild(this.createDetailLinks('Genres:', details.genres, genre => this.openGenreContent(genre)));
+        }
+        if (details.keywords && details.keywords.length > 0) {
+            extraDetails.appendChild(this.createDetailLinks('Keywords:', details.keywords.slice(0, 10),
+                keyword => this.openKeywordContent(keyword)));
+        }
+        
+        // Movie collection (franchise) this movie belongs to
+        if (details.collection) {
+            extraDetails.appendChild(this.createDetailLinks('Collection:', [details.collection],
+                collection => this.openCollection(collection.id)));
+        }
+        
+        // Content rating
+        const contentRating = this.getContentRating(details, item.mediaType);
+        if (contentRating) {
+            extraDetails.appendChild(this.createDetailItem('Rated:', contentRating));
+        }
+        
+        // Director(s) or creator(s)
+        const crew = item.mediaType === 'movie' ?
+            ((details.credits && details.credits.crew) || []).filter(member => member.job === 'Director') :
+            (details.createdBy || []);
+        if (crew.length > 0) {
+            const label = item.mediaType === 'movie' ? 'Directed by:' : 'Created by:';
+            extraDetails.appendChild(this.createDetailLinks(label, crew, member => this.openPerson(member.id)));
+        }
+        
+        // TMDB, IMDb and Rotten Tomatoes scores
+        const scores = this.createScores(details, await ratingsPromise);
+        if (scores) {
+            extraDetails.appendChild(scores);
+        }
+        
+        // Where the title is streaming in the user's region
+        const watchProviders = this.createWatchProviders(details);
+        if (watchProviders) {
+            extraDetails.appendChild(watchProviders);
+        }
+        
+        // Trailer
+        const trailer = (details.relatedVideos || []).find(video => video.type === 'Trailer' && video.site === 'YouTube');
+        const trailerUrl = trailer && this.getSafeUrl(trailer.url);
+        if (trailerUrl) {
+            const trailerLink = document.createElement('a');
+            trailerLink.className = 'trailer-link';
+            trailerLink.href = trailerUrl;
+            trailerLink.target = '_blank';
+            trailerLink.rel = 'noopener noreferrer';
+            trailerLink.textContent = '\u25B6 Watch trailer';
+            extraDetails.appendChild(trailerLink);
+        }
+        
+        // Cast
+        const cast = ((details.credits && details.credits.cast) || []).slice(0, 15);
+        if (cast.length > 0) {
+            extras.appendChild(this.createCastRow(cast));
+        }
+        
+        // Similar titles
+        extras.appendChild(this.createSimilarRow(item));
+    }
+    
+    // Create the heading shown when a page's network or studio is unknown
+    createNotFoundHeading(text) {
+        const heading = document.createElement('h1');
+        heading.textContent = text;
+        return heading;
+    }
+    
+    // Return a remote URL if it is a plain http(s) link, null otherwise (e.g. javascript: URLs)
+    getSafeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Build a selector for the cards or toggles of a content item; ids come from Jellyseerr and are escaped
+    getItemSelector(selector, id, mediaType) {
+        return `${selector}[data-id="${CSS.escape(String(id))}"][data-media-type="${CSS.escape(String(mediaType))}"]`;
+    }
+    
+    // Create a labelled detail line for the details modal
+    createDetailItem(label, value) {
+        const detailItem = document.createElement('div');
+        detailItem.className = 'detail-item';
+        
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'detail-label';
+        labelSpan.textContent = label;
+        detailItem.appendChild(labelSpan);
+        
+        detailItem.appendChild(document.createTextNode(` ${value}`));
+        return detailItem;
+    }
+    
+    // Create a labelled detail line of links (genres, keywords); following a link closes the modal
+    createDetailLinks(label, entries, onOpen) {
+        const detailItem = document.createElement('div');
+        detailItem.className = 'detail-item';
+        
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'detail-label';
+        labelSpan.textContent = label;
+        detailItem.appendChild(labelSpan);
+        
+        entries.forEach((entry, index) => {
+            detailItem.appendChild(document.createTextNode(index === 0 ? ' ' : ', '));
+            
+            const link = document.createElement('a');
+            link.className = 'detail-link';
+            link.href = '#';
+            link.textContent = entry.name;
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                const modalContainer = document.querySelector('#jellyseerr-modal-container');
+                modalContainer.innerHTML = '';
+                modalContainer.style.display = 'none';
+                onOpen(entry);
+            });
+            detailItem.appendChild(link);
+        });
+        
+        return detailItem;
+    }
+    
+    // Get the content rating (certification) of a movie or TV show in the user's region, falling back to the US one
+    getContentRating(details, mediaType) {
+        const regions = [this.options.region, 'US'];
+        
+        if (mediaType === 'movie') {
+            const releases = (details.releases && details.releases.results) || [];
+            for (const region of regions) {
+                const release = releases.find(result => result.iso_3166_1 === region);
+                const dated = release ? (release.release_dates || []).find(date => date.certification) : null;
+                if (dated) {
+                    return dated.certification;
+                }
+            }
+            return null;
+        }
+        
+        const ratings = (details.contentRatings && details.contentRatings.results) || [];
+        for (const region of regions) {
+            const rating = ratings.find(result => result.iso_3166_1 === region && result.rating);
+            if (rating) {
+                return rating.rating;
+            }
+        }
+        return null;
+    }
+    
+    // Create the "Streaming in {region}" line with the subscription services carrying a title in the user's region,
+    // null when there are none
+    createWatchProviders(details) {
+        const regionProviders = (details.watchProviders || []).find(entry => entry.iso_3166_1 === this.options.region);
+        const providers = ((regionProviders && regionProviders.flatrate) || [])
+            .slice()
+            .sort((a, b) => (a.displayPriority || 0) - (b.displayPriority || 0));
+        
+        if (providers.length === 0) {
+            return null;
+        }
+        
+        const detailItem = document.createElement('div');
+        detailItem.className = 'detail-item watch-providers';
+        
+        const label = document.createElement('span');
+        label.className = 'detail-label';
+        label.textContent = `Streaming in ${this.options.region}:`;
+        detailItem.appendChild(label);
+        
+        // The TMDB watch page lists where to watch, there are no per-service links
+        const link = this.getSafeUrl(regionProviders.link);
+        providers.forEach(provider => {
+            const logo = document.createElement('img');
+            logo.className = 'watch-provider-logo';
+            logo.src = `https://image.tmdb.org/t/p/w92${provider.logoPath}`;
+            logo.alt = provider.name;
+            logo.title = provider.name;
+            
+            if (link) {
+                const providerLink = document.createElement('a');
+                providerLink.href = link;
+                providerLink.target = '_blank';
+                providerLink.rel = 'noopener noreferrer';
+                providerLink.appendChild(logo);
+                detailItem.appendChild(providerLink);
+            } else {
+                detailItem.appendChild(logo);
+            }
+        });
+        
+        return detailItem;
+    }
+    
+    // Create the scores line (TMDB, IMDb, Rotten Tomatoes), null when there are no scores
+    createScores(details, ratings) {
+        const scores = [];
+        
+        if (details.voteAverage) {
+            scores.push(['TMDB', `${Math.round(details.voteAverage * 10)}%`]);
+        }
+        
+        // Movies get combined IMDb and Rotten Tomatoes ratings, TV shows only Rotten Tomatoes
+        const imdb = ratings && ratings.imdb;
+        const rottenTomatoes = ratings && (ratings.rt || (ratings.criticsScore !== undefined ? ratings : null));
+        if (imdb && imdb.criticsScore) {
+            scores.push(['IMDb', `${imdb.criticsScore}/10`]);
+        }
+        if (rottenTomatoes && rottenTomatoes.criticsScore) {
+            scores.push(['Rotten Tomatoes', `${rottenTomatoes.criticsScore}%`]);
+        }
+        
+        if (scores.length === 0) {
+            return null;
+        }
+        
+        const scoresLine = document.createElement('div');
+        scoresLine.className = 'detail-item modal-scores';
+        scores.forEach(([source, value]) => {
+            const score = document.createElement('span');
+            score.className = 'modal-score';
+            
+            const sourceLabel = document.createElement('span');
+            sourceLabel.className = 'detail-label';
+            sourceLabel.textContent = `${source} `;
+            score.appendChild(sourceLabel);
+            score.appendChild(document.createTextNode(value));
+            
+            scoresLine.appendChild(score);
+        });
+        
+        return scoresLine;
+    }
+    
+    // Create the cast row for the details modal
+    createCastRow(cast) {
+        const section = document.createElement('div');
+        section.className = 'modal-section';
+        
+        const sectionTitle = document.createElement('h3');
+        sectionTitle.textContent = 'Cast';
+        section.appendChild(sectionTitle);
+        
+        const castList = document.createElement('div');
+        castList.className = 'horizontal-scroll cast-list';
+        
+        cast.forEach(member => {
+            const castCard = document.createElement('div');
+            castCard.className = 'cast-card';
+            castCard.dataset.personId = member.id;
+            castCard.title = `See ${member.name}'s filmography`;
+            castCard.addEventListener('click', () => {
+                const modalContainer = document.querySelector('#jellyseerr-modal-container');
+                modalContainer.innerHTML = '';
+                modalContainer.style.display = 'none';
+                this.openPerson(member.id);
+            });
+            
+            const photo = document.createElement('img');
+            photo.src = member.profilePath ?
+                `https://image.tmdb.org/t/p/w185${member.profilePath}` :
+                'plugins/JellyfinJellyseerrIntegration/images/default-person.png';
+            photo.alt = member.name;
+            castCard.appendChild(photo);
+            
+            const name = document.createElement('div');
+            name.className = 'cast-name';
+            name.textContent = member.name;
+            castCard.appendChild(name);
+            
+            if (member.character) {
+                const character = document.createElement('div');
+                character.className = 'cast-character';
+                character.textContent = member.character;
+                castCard.appendChild(character);
+            }
+            
+            castList.appendChild(castCard);
+        });
+        
+        section.appendChild(castList);
+        return section;
+    }
+    
+    // Create the "similar titles" row for the details modal; its cards can be requested in place
+    createSimilarRow(item) {
+        const section = document.createElement('div');
+        section.className = 'modal-section';
+        
+        const sectionTitle = document.createElement('h3');
+        sectionTitle.textContent = 'Similar Titles';
+        section.appendChild(sectionTitle);
+        
+        const similarList = document.createElement('div');
+        similarList.className = 'horizontal-scroll similar-list';
+        similarList.textContent = 'Loading similar titles...';
+        section.appendChild(similarList);
+        
+        this.serverConnector.getSimilar(item.id, item.mediaType)
+            .then(response => {
+                const results = (response.results || []).slice(0, 20);
+                if (results.length === 0) {
+                    section.remove();
+                    return;
+                }
+                
+                similarList.textContent = '';
+                results.forEach(result => {
+                    // Similar results don't always carry a media type
+                    const similarItem = this.normalizeMediaItem(Object.assign({ mediaType: item.mediaType }, result));
+                    similarList.appendChild(this.createContentCard(similarItem));
+                });
+            })
+            .catch(error => {
+                console.error(`Error fetching similar titles for ${item.id}:`, error);
+                section.remove();
+            });
+        
+        return section;
+    }
+    
+    // Create a season picker for a TV show, marking seasons that are already available or requested
+    createSeasonPicker(item, detailsPromise) {
+        const picker = document.createElement('div');
+        picker.className = 'detail-item season-picker';
+        
+        const label = document.createElement('div');
+        label.className = 'detail-label';
+        label.textContent = 'Seasons:';
+        picker.appendChild(label);
+        
+        const seasonList = document.createElement('div');
+        seasonList.className = 'season-list';
+        seasonList.textContent = 'Loading seasons...';
+        picker.appendChild(seasonList);
+        
+        detailsPromise
+            .then(async details => {
+                const statuses = this.getSeasonStatuses(details, await this.getLibrarySeasons(details));
+                seasonList.textContent = '';
+                
+                (details.seasons || [])
+                    .filter(season => season.seasonNumber > 0)
+                    .forEach(season => {
+                        const option = this.createSeasonOption(season, statuses[season.seasonNumber]);
+                        seasonList.appendChild(option);
+                    });
+                
+                picker.dataset.loaded = 'true';
+            })
+            .catch(error => {
+                console.error(`Error fetching seasons for ${item.id}:`, error);
+                seasonList.textContent = 'Failed to load seasons. The whole show will be requested.';
+            });
+        
+        return picker;
+    }
+    
+    // Create a single season checkbox for the season picker
+    createSeasonOption(season, status) {
+        const option = document.createElement('label');
+        option.className = `season-option ${status || 'missing'}`;
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = season.seasonNumber;
+        // Missing seasons are selected by default, available/requested ones can't be selected
+        checkbox.checked = !status;
+        checkbox.disabled = !!status;
+        option.appendChild(checkbox);
+        
+        const name = document.createElement('span');
+        name.className = 'season-name';
+        name.textContent = season.name || `Season ${season.seasonNumber}`;
+        option.appendChild(name);
+        
+        if (status) {
+            const statusLabel = document.createElement('span');
+            statusLabel.className = `season-status ${status}`;
+            statusLabel.textContent = status === 'available' ? 'Available' : 'Requested';
+            option.appendChild(statusLabel);
+        }
+        
+        return option;
+    }
+    
+    // Create the collapsed "Advanced" section of the details modal with server, quality profile, root folder
+    // and language profile choices. It stays hidden for users without the advanced request permission.
+    createAdvancedRequestOptions(item) {
+        const section = document.createElement('details');
+        section.className = 'detail-item advanced-options';
+        section.hidden = true;
+        
+        const summary = document.createElement('summary');
+        summary.className = 'detail-label';
+        summary.textContent = 'Advanced';
+        section.appendChild(summary);
+        
+        const fields = document.createElement('div');
+        fields.className = 'advanced-fields';
+        section.appendChild(fields);
+        
+        const serviceFields = document.createElement('div');
+        serviceFields.className = 'advanced-service-fields';
+        
+        this.getAdvancedRequestServers(item.mediaType)
+            .then(servers => {
+                if (servers.length === 0) {
+                    section.remove();
+                    return;
+                }
+                
+                // Prefer the default non-4K server, like Jellyseerr does for simple requests
+                const defaultServer = servers.find(server => server.isDefault && !server.is4k) || servers[0];
+                const serverField = this.createAdvancedSelect('Server', 'serverId', servers.map(server =>
+                    [server.id, server.is4k ? `${server.name} (4K)` : server.name]), defaultServer.id);
+                const serverSelect = serverField.querySelector('select');
+                Array.from(serverSelect.options).forEach((option, index) => {
+                    option.dataset.is4k = servers[index].is4k ? 'true' : 'false';
+                });
+                serverSelect.addEventListener('change', () => {
+                    const server = servers.find(server => String(server.id) === serverSelect.value);
+                    this.loadAdvancedServiceFields(item.mediaType, server, serviceFields, section);
+                });
+                
+                fields.appendChild(serverField);
+                fields.appendChild(serviceFields);
+                section.hidden = false;
+                
+                this.loadAdvancedServiceFields(item.mediaType, defaultServer, serviceFields, section);
+            })
+            .catch(error => {
+                // Fall back to a simple request
+                console.error(`Error fetching request options for ${item.mediaType}:`, error);
+                section.remove();
+            });
+        
+        return section;
+    }
+    
+    // Get the Radarr/Sonarr servers the current user may pick from (empty without the advanced request permission)
+    async getAdvancedRequestServers(mediaType) {
+        const jellyseerrUser = await this.getJellyseerrUser();
+        const permissions = jellyseerrUser.permissions || 0;
+        if (!hasJellyseerrPermission(permissions, jellyseerrPermission.REQUEST_ADVANCED)) {
+            return [];
+        }
+        
+        const can4k = hasJellyseerrPermission(permissions, jellyseerrPermission.REQUEST_4K) ||
+            hasJellyseerrPermission(permissions, mediaType === 'movie' ?
+                jellyseerrPermission.REQUEST_4K_MOVIE : jellyseerrPermission.REQUEST_4K_TV);
+        
+        const servers = await this.serverConnector.getServices(mediaType);
+        return (servers || []).filter(server => can4k || !server.is4k);
+    }
+    
+    // Fill the quality profile, root folder and language profile choices for a Radarr/Sonarr server
+    async loadAdvancedServiceFields(mediaType, server, container, section) {
+        section.dataset.loaded = 'false';
+        container.textContent = 'Loading options...';
+        
+        try {
+            const service = await this.serverConnector.getServiceDetails(mediaType, server.id);
+            container.textContent = '';
+            
+            container.appendChild(this.createAdvancedSelect('Quality profile', 'profileId',
+                (service.profiles || []).map(profile => [profile.id, profile.name]), server.activeProfileId));
+            container.appendChild(this.createAdvancedSelect('Root folder', 'rootFolder',
+                (service.rootFolders || []).map(folder => [folder.path, folder.path]), server.activeDirectory));
+            
+            // Only Sonarr v3 servers have language profiles
+            if (mediaType === 'tv' && service.languageProfiles && service.languageProfiles.length > 0) {
+                container.appendChild(this.createAdvancedSelect('Language profile', 'languageProfileId',
+                    service.languageProfiles.map(profile => [profile.id, profile.name]), server.activeLanguageProfileId));
+            }
+            
+            section.dataset.loaded = 'true';
+        } catch (error) {
+            console.error(`Error fetching options for server ${server.id}:`, error);
+            container.textContent = 'Failed to load server options. The default options will be used.';
+        }
+    }
+    
+    // Create a labelled select for the advanced request options
+    createAdvancedSelect(label, name, options, value) {
+        const field = document.createElement('label');
+        field.className = 'advanced-field';
+        
+        const labelText = document.createElement('span');
+        labelText.textContent = label;
+        field.appendChild(labelText);
+        
+        const select = document.createElement('select');
+        select.name = name;
+        options.forEach(([optionValue, optionLabel]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionLabel;
+            select.appendChild(option);
+        });
+        if (value !== undefined && value !== null) {
+            select.value = value;
+        }
+        field.appendChild(select);
+        
+        return field;
+    }
+    
+    // Get the request options chosen in the advanced section (empty if it's hidden or still loading)
+    getAdvancedRequestOptions(section) {
+        if (section.hidden || section.dataset.loaded !== 'true') {
+            return {};
+        }
+        
+        const serverSelect = section.querySelector('select[name="serverId"]');
+        const options = {
+            serverId: Number(serverSelect.value),
+            is4k: serverSelect.selectedOptions[0].dataset.is4k === 'true'
+        };
+        
+        const profileSelect = section.querySelector('select[name="profileId"]');
+        if (profileSelect && profileSelect.value) {
+            options.profileId = Number(profileSelect.value);
+        }
+        
+        const rootFolderSelect = section.querySelector('select[name="rootFolder"]');
+        if (rootFolderSelect && rootFolderSelect.value) {
+            options.rootFolder = rootFolderSelect.value;
+        }
+        
+        const languageProfileSelect = section.querySelector('select[name="languageProfileId"]');
+        if (languageProfileSelect && languageProfileSelect.value) {
+            options.languageProfileId = Number(languageProfileSelect.value);
+        }
+        
+        return options;
+    }
+    
+    // Build a map of season number to 'available' or 'requested' from Jellyseerr media info and the season numbers
+    // found in the Jellyfin library
+    getSeasonStatuses(details, librarySeasons = []) {
+        const statuses = {};
+        const mediaInfo = details.mediaInfo || {};
+        
+        // Seasons in the library are available even when Jellyseerr doesn't know about them yet
+        librarySeasons.forEach(seasonNumber => {
+            statuses[seasonNumber] = 'available';
+        });
+        
+        (mediaInfo.seasons || []).forEach(season => {
+            if (season.status === mediaStatus.AVAILABLE) {
+                statuses[season.seasonNumber] = 'available';
+            } else if (statuses[season.seasonNumber]) {
+                return;
+            } else if (season.status === mediaStatus.PENDING || season.status === mediaStatus.PROCESSING) {
+                statuses[season.seasonNumber] = 'requested';
+            }
+        });
+        
+        // Seasons in open requests count as requested even before Jellyseerr updates the season status
+        (mediaInfo.requests || []).forEach(request => {
+            if (request.status === requestStatus.DECLINED) return;
+            
+            (request.seasons || []).forEach(season => {
+                if (!statuses[season.seasonNumber]) {
+                    statuses[season.seasonNumber] = 'requested';
+                }
+            });
+        });
+        
+        return statuses;
+    }
+    
+    // Get the numbers of the seasons of a TV show that are in the Jellyfin library (empty if it isn't there or the
+    // seasons can't be loaded)
+    async getLibrarySeasons(details) {
+        const libraryId = this.libraryReconciler.findItemId(Object.assign({ mediaType: 'tv' }, details));
+        if (!libraryId) {
+            return [];
+        }
+        
+        try {
+            return await this.libraryReconciler.getSeasonNumbers(this.jellyfinUser, libraryId);
+        } catch (error) {
+            console.error(`Error loading the library seasons of ${details.name || details.id}:`, error);
+            return [];
+        }
+    }
+    
+    // Get the season numbers selected in a season picker (null if the seasons couldn't be loaded)
+    getSelectedSeasons(picker) {
+        if (picker.dataset.loaded !== 'true') {
+            return null;
+        }
+        
+        return Array.from(picker.querySelectorAll('input[type="checkbox"]:checked:not(:disabled)'))
+            .map(checkbox => Number(checkbox.value));
+    }
+    
+    // Get the current user's request quota for a media type (null if unknown)
+    getQuota(mediaType) {
+        return this.quota && this.quota[mediaType] ? this.quota[mediaType] : null;
+    }
+    
+    // Check whether the current user has used up their request quota for a media type
+    isQuotaExhausted(mediaType) {
+        const quota = this.getQuota(mediaType);
+        return !!(quota && quota.limit && (quota.restricted || quota.remaining <= 0));
+    }
+    
+    // Get when the next request becomes available again: quotas count requests made in the last
+    // quota.days days, so a request frees up when the oldest one in that window ages out
+    getQuotaResetDate(mediaType) {
+        const quota = this.getQuota(mediaType);
+        if (!quota || !quota.days) {
+            return null;
+        }
+        
+        const windowMs = quota.days * 24 * 60 * 60 * 1000;
+        const windowStart = Date.now() - windowMs;
+        const requestTimes = this.userRequests
+            .filter(request => request.media.mediaType === mediaType)
+            .map(request => new Date(request.createdAt).getTime())
+            .filter(time => time > windowStart);
+        
+        if (requestTimes.length === 0) {
+            return null;
+        }
+        
+        return new Date(Math.min(...requestTimes) + windowMs);
+    }
+    
+    // Describe the remaining requests for a media type (null if there's no limit)
+    getQuotaMessage(mediaType) {
+        const quota = this.getQuota(mediaType);
+        if (!quota || !quota.limit) {
+            return null;
+        }
+        
+        const typeLabel = mediaType === 'movie' ? 'movie' : 'TV';
+        const period = quota.days === 1 ? 'day' : `${quota.days} days`;
+        const resetDate = this.getQuotaResetDate(mediaType);
+        const resetText = resetDate ? ` You can request again on ${resetDate.toLocaleDateString()}.` : '';
+        
+        if (this.isQuotaExhausted(mediaType)) {
+            return `You've used all ${quota.limit} ${typeLabel} requests allowed per ${period}.${resetText}`;
+        }
+        
+        return `${quota.remaining} of ${quota.limit} ${typeLabel} requests left (per ${period}).`;
+    }
+    
+    // Create the quota summary for the given media types (null if none of them are limited)
+    createQuotaSummary(mediaTypes) {
+        const messages = mediaTypes
+            .map(mediaType => ({ mediaType: mediaType, message: this.getQuotaMessage(mediaType) }))
+            .filter(entry => entry.message);
+        
+        if (messages.length === 0) {
+            return null;
+        }
+        
+        const summary = document.createElement('div');
+        summary.className = 'quota-summary';
+        messages.forEach(entry => {
+            const line = document.createElement('div');
+            line.className = `quota-line ${this.isQuotaExhausted(entry.mediaType) ? 'exhausted' : ''}`;
+            line.textContent = entry.message;
+            summary.appendChild(line);
+        });
+        
+        return summary;
+    }
+    
+    // Disable a request button with an explanation when the quota is used up
+    setRequestButtonQuota(button, mediaType) {
+        button.dataset.mediaType = mediaType;
+        
+        if (this.isQuotaExhausted(mediaType)) {
+            button.disabled = true;
+            button.dataset.quotaReached = 'true';
+            button.title = this.getQuotaMessage(mediaType);
+            button.textContent = 'Quota reached';
+        } else if (button.dataset.quotaReached === 'true') {
+            button.disabled = false;
+            delete button.dataset.quotaReached;
+            button.title = '';
+            button.textContent = 'Request';
+        }
+    }
+    
+    // Create a watchlist bookmark toggle: an icon on cards ('card') or a text button in the details modal ('modal')
+    createWatchlistToggle(item, variant) {
+        const toggle = document.createElement('button');
+        toggle.className = `watchlist-toggle ${variant}`;
+        toggle.dataset.id = item.id;
+        toggle.dataset.mediaType = item.mediaType;
+        toggle.dataset.variant = variant;
+        this.setWatchlistToggleState(toggle, this.watchlist.has(item));
+        
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleWatchlist(item);
+        });
+        
+        return toggle;
+    }
+    
+    // Show whether an item is on the watchlist on a bookmark toggle
+    setWatchlistToggleState(toggle, onWatchlist) {
+        toggle.classList.toggle('active', onWatchlist);
+        toggle.title = onWatchlist ? 'Remove from watchlist' : 'Add to watchlist';
+        
+        if (toggle.dataset.variant === 'modal') {
+            toggle.textContent = onWatchlist ? 'On Watchlist' : 'Add to Watchlist';
+        } else {
+            toggle.classList.add('material-icons');
+            toggle.textContent = onWatchlist ? 'bookmark' : 'bookmark_border';
+        }
+    }
+    
+    // Add an item to the watchlist or remove it, and save the watchlist
+    async toggleWatchlist(item) {
+        // Load the watchlist first if that failed on startup, rather than saving over it
+        if (!this.watchlist.loaded) {
+            try {
+                await this.watchlist.load(this.jellyfinUser);
+            } catch (error) {
+                console.error("Error loading the watchlist:", error);
+                this.showNotification('Error', 'Failed to load your watchlist.', 'error');
+                return;
+            }
+        }
+        
+        const onWatchlist = !this.watchlist.has(item);
+        let removedEntry = null;
+        if (onWatchlist) {
+            // Items that are already available don't need an availability flag later
+            this.watchlist.add(item, this.getAvailabilityState(item) === 'available');
+        } else {
+            removedEntry = this.watchlist.remove(item);
+        }
+        this.updateWatchlistToggles(item);
+        
+        try {
+            await this.watchlist.save();
+        } catch (error) {
+            console.error("Error saving the watchlist:", error);
+            this.showNotification('Error', 'Failed to save your watchlist.', 'error');
+            
+            // Undo the change so the toggles match what's saved
+            if (onWatchlist) {
+                this.watchlist.remove(item);
+            } else {
+                this.watchlist.restore(removedEntry);
+            }
+            this.updateWatchlistToggles(item);
+        }
+    }
+    
+    // Update all rendered bookmark toggles for an item
+    updateWatchlistToggles(item) {
+        const onWatchlist = this.watchlist.has(item);
+        document.querySelectorAll(this.getItemSelector('.watchlist-toggle', item.id, item.mediaType))
+            .forEach(toggle => this.setWatchlistToggleState(toggle, onWatchlist));
+    }
+    
+    // Flag watchlist items that have become available and let the user know
+    async checkWatchlistAvailability() {
+        const newlyAvailable = this.watchlist.getEntries().filter(entry =>
+            !entry.availableSince && this.getAvailabilityState(entry) === 'available');
+        if (newlyAvailable.length === 0) {
+            return;
+        }
+        
+        newlyAvailable.forEach(entry => this.watchlist.markAvailable(entry));
+        
+        const names = newlyAvailable.map(entry => entry.title || entry.name);
+        const message = names.length === 1 ?
+            `${names[0]} from your watchlist is now available.` :
+            `${names.length} titles from your watchlist are now available: ${names.join(', ')}.`;
+        this.showNotification('Now Available', message, 'success');
+        
+        try {
+            await this.watchlist.save();
+        } catch (error) {
+            console.error("Error saving the watchlist:", error);
+        }
+    }
+    
+    // Count a request against the local copy of the quota until it's refreshed from Jellyseerr
+    useQuota(mediaType) {
+        const quota = this.getQuota(mediaType);
+        if (quota && quota.limit) {
+            quota.used = (quota.used || 0) + 1;
+            quota.remaining = Math.max(0, quota.remaining - 1);
+            quota.restricted = quota.remaining === 0;
+        }
+    }
+    
+    // Update request buttons after the quota changed
+    updateQuotaButtons() {
+        document.querySelectorAll('.request-button[data-media-type]').forEach(button => {
+            this.setRequestButtonQuota(button, button.dataset.mediaType);
+        });
+    }
+    
+    // Request content from Jellyseerr, notifying the user of the outcome (returns whether the request was made)
+    async requestContent(item, options = {}) {
+        if (this.isQuotaExhausted(item.mediaType)) {
+            this.showNotification('Error', this.getQuotaMessage(item.mediaType), 'error');
+            return false;
+        }
+        
+        try {
+            await this.submitRequest(item, options);
+            
+            // Show success notification
+            const seasonsText = options.seasons && options.seasons.length > 0 ?
+                ` (season${options.seasons.length > 1 ? 's' : ''} ${options.seasons.join(', ')})` :
+                '';
+            const qualityText = options.is4k ? ' in 4K' : '';
+            this.showNotification('Success', `${item.title || item.name}${seasonsText} has been requested${qualityText}.`, 'success');
+            
+            // Start tracking the new request's status
+            this.refreshRequests();
+            return true;
+        } catch (error) {
+            console.error(`Error requesting content ${item.id}:`, error);
+            this.showNotification('Error', this.describeError(error, `Failed to request ${item.title || item.name}.`), 'error');
+            return false;
+        }
+    }
+    
+    // Send a request to Jellyseerr for the current user and mark the item's cards as requested (throws on failure)
+    async submitRequest(item, options = {}) {
+        // Attribute the request to the user's own Jellyseerr account
+        const jellyseerrUser = await this.getJellyseerrUser();
+        const result = await this.serverConnector.requestContent(item.id, item.mediaType, Object.assign({
+            userId: jellyseerrUser.id
+        }, options));
+        
+        // Update UI
+        const cards = document.querySelectorAll(this.getItemSelector('.content-card', item.id, item.mediaType));
+        cards.forEach(card => this.setCardAvailability(card, 'requested'));
+        
+        return result;
+    }
+    
+    // Request several titles one after another, reporting progress with onProgress(done, total) and ending with
+    // a single summary notification. Returns { requested, failed, skipped } lists of items.
+    async requestBatch(items, onProgress = null) {
+        const results = { requested: [], failed: [], skipped: [] };
+        
+        // Without a linked Jellyseerr account every request would fail the same way
+        try {
+            await this.getJellyseerrUser();
+        } catch (error) {
+            console.error("Error resolving the Jellyseerr user:", error);
+            this.showNotification('Batch Request', this.describeError(error, 'Failed to request the selected titles.'), 'error');
+            results.failed = items.slice();
+            return results;
+        }
+        
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            
+            if (this.isQuotaExhausted(item.mediaType)) {
+                results.skipped.push(item);
+            } else {
+                try {
+                    await this.submitRequest(item);
+                    results.requested.push(item);
+                    this.useQuota(item.mediaType);
+                } catch (error) {
+                    console.error(`Error requesting content ${item.id}:`, error);
+                    results.failed.push(item);
+                }
+                
+                if (i < items.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, batchRequestDelay));
+                }
+            }
+            
+            if (onProgress) {
+                onProgress(i + 1, items.length);
+            }
+        }
+        
+        const lines = [];
+        if (results.requested.length > 0) {
+            lines.push(`Requested ${results.requested.length}: ${this.formatTitleList(results.requested)}`);
+        }
+        if (results.failed.length > 0) {
+            lines.push(`Failed ${results.failed.length}: ${this.formatTitleList(results.failed)}`);
+        }
+        if (results.skipped.length > 0) {
+            lines.push(`Skipped ${results.skipped.length} (request quota reached): ${this.formatTitleList(results.skipped)}`);
+        }
+        
+        const type = results.failed.length === 0 && results.skipped.length === 0 ? 'success' :
+            results.requested.length === 0 ? 'error' : 'info';
+        this.showNotification('Batch Request', lines.join('\n'), type);
+        
+        // Start tracking the new requests' statuses (and get the real quota back)
+        if (results.requested.length > 0) {
+            await this.refreshRequests();
+        }
+        
+        return results;
+    }
+    
+    // List item titles for a notification, shortened after a few
+    formatTitleList(items, max = 5) {
+        const names = items.slice(0, max).map(item => item.title || item.name);
+        if (items.length > max) {
+            names.push(`and ${items.length - max} more`);
+        }
+        return names.join(', ');
+    }
+    
+    // Show notification
+    showNotification(title, message, type = 'info') {
+        // Check if notification container exists, create if not
+        let notifContainer = document.querySelector('#jellyseerr-notification-container');
+        if (!notifContainer) {
+            notifContainer = document.createElement('div');
+            notifContainer.id = 'jellyseerr-notification-container';
+            document.body.appendChild(notifContainer);
+        }
+        
+        // Create notification
+        const notification = document.createElement('div');
+        notification.className = `jellyseerr-notification ${type}`;
+        
+        // Notification content
+        const notifTitle = document.createElement('div');
+        notifTitle.className = 'notification-title';
+        notifTitle.textContent = title;
+        
+        const notifMessage = document.createElement('div');
+        notifMessage.className = 'notification-message';
+        notifMessage.textContent = message;
+        
+        notification.appendChild(notifTitle);
+        notification.appendChild(notifMessage);
+        
+        // Add to container
+        notifContainer.appendChild(notification);
+        
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            notification.classList.add('fade-out');
+            setTimeout(() => {
+                notification.remove();
+            }, 500);
+        }, 5000);
+    }
+    
+    // Update UI elements after data refresh
+    updateUI() {
+        // Find any displayed network/studio sections and update them
+        const homeSections = document.querySelectorAll('.networks-section, .studios-section');
+        if (homeSections.length > 0) {
+            const container = homeSections[0].parentElement;
+            this.renderNetworksAndStudios(container);
+        }
+        
+        // Check if we're on a custom page and refresh if needed
+        const path = window.location.hash.substring(1);
+        if (path.startsWith('/jellyseerr/')) {
+            this.renderCustomView(path);
+        }
+    }
+    
+    // Mark rendered content cards for items found in the Jellyfin library as available (series as partially
+    // available, since cards don't know how many seasons a show has)
+    updateLibraryBadges() {
+        document.querySelectorAll('.content-card').forEach(card => {
+            if (card.querySelector('.availability-badge.available, .availability-badge.partially-available')) {
+                return;
+            }
+            
+            const item = { id: Number(card.dataset.id), mediaType: card.dataset.mediaType };
+            const libraryId = this.libraryReconciler.findItemId(item);
+            if (libraryId) {
+                this.setCardAvailability(card, this.getLibraryState(item, libraryId));
+            }
+        });
+    }
+    
+    // Update request badges on rendered content cards and request rows
+    updateRequestBadges() {
+        Object.values(this.requestCache).forEach(request => {
+            const status = this.getRequestStatus(request);
+            if (status === 'declined') return;
+            
+            const state = status === 'available' ? 'available' : 'requested';
+
+            const cards = document.querySelectorAll(this.getItemSelector('.content-card', request.media.tmdbId, request.media.mediaType));
+            cards.forEach(card => {
+                // Never downgrade a card that's already shown as (partially) available
+                if (!card.querySelector('.availability-badge.available, .availability-badge.partially-available')) {
+                    this.setCardAvailability(card, state);
+                }
+            });
+        });
+        
+        this.userRequests.forEach(request => {
+            const statusBadge = document.querySelector(`.request-row[data-request-id="${CSS.escape(String(request.id))}"] .request-status`);
+            if (statusBadge) {
+                const status = this.getRequestStatus(request);
+                statusBadge.className = `request-status ${status}`;
+                statusBadge.textContent = requestStatusLabels[status];
+            }
+        });
+    }
+}
+
+// Server connector class for communicating with Jellyseerr
+// Calls go through the Jellyfin server's proxy with the user's Jellyfin credentials. Only the settings page
+// connects directly (direct = true), to test the URL and API key an administrator entered.
+class JellyseerrServerConnector {
+    constructor(options, direct = false) {
+        this.direct = direct;
+        this.baseUrl = direct ? options.jellyseerrUrl : jellyseerrProxyPath;
+        this.apiKey = direct ? options.jellyseerrApiKey : null;
+        this.timeout = options.requestTimeout * 1000;
+        this.retries = options.requestRetries;
+        this.retryDelay = 1000; // ms, doubled on each retry
+        this.language = options.displayLanguage;
+        this.region = options.region;
+        
+        // Cached responses are localized, so they are kept apart per language and region too
+        this.cache = new JellyseerrPersistentCache([options.jellyseerrUrl, this.language, this.region].filter(Boolean).join('|'));
+        this.cacheTtl = options.refreshInterval * 60 * 60 * 1000;
+        
+        // Drop entries that are far too old to be worth showing
+        this.cache.removeExpired(this.cacheTtl * 7);
+    }
+    
+    // Make API request to Jellyseerr
+    // (requestOptions.signal cancels the request, e.g. when the view changes)
+    async makeRequest(endpoint, method = 'GET', data = null, requestOptions = {}) {
+        const url = method === 'GET' && localizedEndpointPattern.test(endpoint)
+            ? this.localizeUrl(`${this.baseUrl}/api/v1${endpoint}`)
+            : `${this.baseUrl}/api/v1${endpoint}`;
+        const signal = requestOptions.signal || null;
+        
+        const options = {
+            method,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, this.getAuthHeaders())
+        };
+        
+        if (data && (method === 'POST' || method === 'PUT')) {
+            options.body = JSON.stringify(data);
+        }
+        
+        // Only GET requests are retried, retrying a POST could create duplicate requests
+        const maxRetries = method === 'GET' ? this.retries : 0;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(url, options, signal);
+            } catch (error) {
+                const retryable = error instanceof JellyseerrServerError || error instanceof JellyseerrOfflineError;
+                if (!retryable || attempt >= maxRetries || (signal && signal.aborted)) {
+                    throw error;
+                }
+                
+                console.warn(`Retrying ${method} ${endpoint} after error:`, error.message);
+                await this.wait(this.retryDelay * Math.pow(2, attempt), signal);
+            }
+        }
+    }
+    
+    // Add the display language and region to a request URL, so titles, overviews and posters come back localized
+    // and region-specific data (release dates, ratings, watch providers) matches the user
+    localizeUrl(url) {
+        const params = new URLSearchParams();
+        if (this.language) {
+            params.set('language', this.language);
+        }
+        if (this.region) {
+            params.set('region', this.region);
+        }
+        
+        const query = params.toString();
+        if (!query) {
+            return url;
+        }
+        return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+    }
+    
+    // Authenticate with the API key when connecting directly, otherwise with the user's Jellyfin session
+    getAuthHeaders() {
+        if (this.direct) {
+            return { 'X-Api-Key': this.apiKey };
+        }
+        return { 'Authorization': Jellyfin.Api.getAuthorizationHeader() };
+    }
+    
+    // Send a single request with a timeout, converting failures into typed errors
+    async sendRequest(url, options, signal) {
+        if (navigator.onLine === false) {
+            throw new JellyseerrOfflineError('The browser is offline');
+        }
+        
+        // Abort on timeout, or when the caller's signal aborts
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+        
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort);
+        }
+        
+        try {
+            const response = await fetch(url, Object.assign({}, options, { signal: controller.signal }));
+            
+            if (!response.ok) {
+                throw this.createApiError(response);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            if (error instanceof JellyseerrApiError) {
+                throw error;
+            }
+            if (timedOut) {
+                throw new JellyseerrOfflineError(`Jellyseerr did not respond within ${this.timeout / 1000} seconds`, true);
+            }
+            if (error.name === 'AbortError') {
+                // Cancelled by the caller, pass the AbortError on unchanged
+                throw error;
+            }
+            throw new JellyseerrOfflineError(`Could not reach Jellyseerr: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+    
+    // Create a typed error for a failed response
+    createApiError(response) {
+        const message = `Jellyseerr API error: ${response.status} ${response.statusText}`;
+        
+        if (response.status === 401 || response.status === 403) {
+            return new JellyseerrAuthError(message, response.status);
+        }
+        if (response.status === 404) {
+            return new JellyseerrNotFoundError(message, response.status);
+        }
+        if (response.status === 429) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            return new JellyseerrRateLimitError(message, response.status, isNaN(retryAfter) ? null : retryAfter);
+        }
+        if (response.status >= 500) {
+            return new JellyseerrServerError(message, response.status);
+        }
+        return new JellyseerrApiError(message, response.status);
+    }
+    
+    // Wait before retrying, stopping early if the signal aborts
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was aborted', 'AbortError'));
+            };
+            
+            // The abort listener is removed once the wait is over, so retries don't pile listeners up on the signal
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+    
+    // Make a GET request through the persistent cache (stale-while-revalidate):
+    // fresh entries are returned without a request, stale entries are returned at once
+    // and refreshed in the background, calling onRevalidate with the new data
+    async cachedRequest(endpoint, onRevalidate = null, signal = null) {
+        const entry = this.cache.get(endpoint);
+        
+        if (entry) {
+            if (Date.now() - entry.storedAt > this.cacheTtl) {
+                this.makeRequest(endpoint)
+                    .then(data => {
+                        this.cache.set(endpoint, data);
+                        if (onRevalidate) {
+                            onRevalidate(data);
+                        }
+                    })
+                    .catch(error => console.error(`Error revalidating ${endpoint}:`, error));
+            }
+            
+            return entry.data;
+        }
+        
+        const data = await this.makeRequest(endpoint, 'GET', null, { signal: signal });
+        this.cache.set(endpoint, data);
+        return data;
+    }
+    
+    // Get cached data for an endpoint without making a request (null if not cached)
+    getCachedData(endpoint) {
+        const entry = this.cache.get(endpoint);
+        return entry ? entry.data : null;
+    }
+    
+    // Get Jellyseerr status (version, update availability), doesn't require an API key
+    async getStatus() {
+        return await this.makeRequest('/status');
+    }
+    
+    // Get the Jellyseerr user the API key belongs to
+    async getCurrentUser() {
+        return await this.makeRequest('/auth/me');
+    }
+    
+    // Get a user's movie and TV request quota
+    async getUserQuota(userId) {
+        return await this.makeRequest(`/user/${userId}/quota`);
+    }
+    
+    // Get all Jellyseerr users
+    async getUsers() {
+        return await this.makeRequest('/user?take=1000');
+    }
+    
+    // Get requests, newest first (options: take, skip, filter, requestedBy, signal)
+    async getRequests(options = {}) {
+        const params = new URLSearchParams({
+            take: options.take || 20,
+            skip: options.skip || 0,
+            sort: 'added'
+        });
+        
+        if (options.filter) {
+            params.set('filter', options.filter);
+        }
+        if (options.requestedBy) {
+            params.set('requestedBy', options.requestedBy);
+        }
+        
+        return await this.makeRequest(`/request?${params.toString()}`, 'GET', null, { signal: options.signal });
+    }
+    
+    // Approve a pending request (requires the manage requests permission)
+    async approveRequest(requestId) {
+        return await this.makeRequest(`/request/${requestId}/approve`, 'POST');
+    }
+    
+    // Decline a pending request, optionally with a reason for the requester
+    async declineRequest(requestId, reason = null) {
+        return await this.makeRequest(`/request/${requestId}/decline`, 'POST', reason ? { reason: reason } : null);
+    }
+    
+    // Search movies, TV shows and people
+    async search(query, page = 1, signal = null) {
+        return await this.makeRequest(`/search?query=${encodeURIComponent(query)}&page=${page}`, 'GET', null, { signal: signal });
+    }
+    
+    // Get all networks
+    async getNetworks(onRevalidate = null) {
+        return await this.cachedRequest('/networks', onRevalidate);
+    }
+    
+    // Get all studios
+    async getStudios(onRevalidate = null) {
+        return await this.cachedRequest('/studios', onRevalidate);
+    }
+    
+    // Get a page of content for a specific network (options: page, mediaType to only get movies or TV shows,
+    // content page filters, onRevalidate, signal)
+    async getNetworkContent(networkId, options = {}) {
+        const query = this.buildPageQuery(options.page || 1, options.mediaType, options.filters);
+        const endpoint = `/network/${networkId}/content${query}`;
+        return await this.cachedRequest(endpoint, options.onRevalidate, options.signal);
+    }
+    
+    // Get a page of content for a specific studio (options: page, mediaType to only get movies or TV shows,
+    // content page filters, onRevalidate, signal)
+    async getStudioContent(studioId, options = {}) {
+        const query = this.buildPageQuery(options.page || 1, options.mediaType, options.filters);
+        const endpoint = `/studio/${studioId}/content${query}`;
+        return await this.cachedRequest(endpoint, options.onRevalidate, options.signal);
+    }
+    
+    // Get a page of discover results (category: trending, movies, tv, movies/upcoming or tv/upcoming)
+    async getDiscover(category, page = 1, onRevalidate = null) {
+        return await this.cachedRequest(`/discover/${category}?page=${page}`, onRevalidate);
+    }
+    
+    // Get a page of movies and TV shows matching discover filters ({ genre } or { keywords }), in the
+    // { movies, tvShows } shape of network and studio content (options: page, mediaType to only get movies or
+    // TV shows, mediaTypes the filter applies to, content page filters, onRevalidate, signal)
+    async getDiscoverContent(filter, options = {}) {
+        const filterMediaTypes = options.mediaTypes || ['movie', 'tv'];
+        const mediaTypes = options.mediaType ?
+            filterMediaTypes.filter(mediaType => mediaType === options.mediaType) :
+            filterMediaTypes;
+        const empty = { results: [], totalPages: 0 };
+        
+        const getPage = mediaType => {
+            const params = new URLSearchParams(Object.assign({ page: options.page || 1 },
+                this.buildFilterParams(options.filters, mediaType), filter));
+            
+            // A genre picked in the toolbar narrows a genre page down further (TMDB matches all listed genres)
+            const filterGenre = options.filters && options.filters.genre;
+            if (filter.genre && filterGenre && String(filterGenre) !== String(filter.genre)) {
+                params.set('genre', `${filter.genre},${filterGenre}`);
+            }
+            
+            return this.cachedRequest(`/discover/${mediaType === 'movie' ? 'movies' : 'tv'}?${params.toString()}`,
+                options.onRevalidate, options.signal);
+        };
+        
+        const [movies, tvShows] = await Promise.all(['movie', 'tv'].map(mediaType => mediaTypes.includes(mediaType) ?
+            getPage(mediaType) :
+            Promise.resolve(empty)));
+        
+        return {
+            movies: (movies.results || []).map(result => Object.assign({ mediaType: 'movie' }, result)),
+            tvShows: (tvShows.results || []).map(result => Object.assign({ mediaType: 'tv' }, result)),
+            moviesTotalPages: movies.totalPages || 0,
+            tvShowsTotalPages: tvShows.totalPages || 0,
+            totalPages: Math.max(movies.totalPages || 0, tvShows.totalPages || 0)
+        };
+    }
+    
+    // Get a person's details (name, biography, birthday, profile photo)
+    async getPerson(personId, signal = null) {
+        return await this.makeRequest(`/person/${personId}`, 'GET', null, { signal: signal });
+    }
+    
+    // Get a person's combined movie and TV credits ({ cast, crew })
+    async getPersonCredits(personId, signal = null) {
+        return await this.makeRequest(`/person/${personId}/combined_credits`, 'GET', null, { signal: signal });
+    }
+    
+    // Get a movie collection with all its parts (cached, since collections rarely change)
+    async getCollection(collectionId, signal = null) {
+        return await this.cachedRequest(`/collection/${collectionId}`, null, signal);
+    }
+    
+    // Get the TMDB collection a movie belongs to ({ id, name }, or null)
+    async getMovieCollection(movieId) {
+        const details = await this.makeRequest(`/movie/${movieId}`);
+        return details.collection ? { id: details.collection.id, name: details.collection.name } : null;
+    }
+    
+    // Get the persisted index of library movie ids to TMDB collection ids (null for movies in no collection)
+    getMovieCollectionIndex() {
+        const entry = this.cache.get('#movie-collections');
+        return entry ? entry.data : {};
+    }
+    
+    // Persist the movie collection index (only the library movies' collection ids, not their details)
+    saveMovieCollectionIndex(index) {
+        this.cache.set('#movie-collections', index);
+    }
+    
+    // Get a keyword by id (name for the keyword page)
+    async getKeyword(keywordId) {
+        return await this.makeRequest(`/keyword/${keywordId}`);
+    }
+    
+    // Get the movie or TV genre list
+    async getGenres(mediaType) {
+        return await this.makeRequest(`/genres/${mediaType}`);
+    }
+    
+    // Get ratings: combined IMDb and Rotten Tomatoes for movies, Rotten Tomatoes for TV shows
+    async getRatings(id, mediaType) {
+        const endpoint = mediaType === 'movie' ? `/movie/${id}/ratingscombined` : `/tv/${id}/ratings`;
+        return await this.makeRequest(endpoint);
+    }
+    
+    // Get titles similar to a movie or TV show
+    async getSimilar(id, mediaType, page = 1) {
+        return await this.makeRequest(`/${mediaType}/${id}/similar?page=${page}`);
+    }
+    
+    // Build the query string for paged content endpoints
+    buildPageQuery(page, mediaType, filters = null) {
+        const params = new URLSearchParams({ page: page });
+        if (mediaType) {
+            params.set('mediaType', mediaType);
+            Object.entries(this.buildFilterParams(filters, mediaType)).forEach(([key, value]) => params.set(key, value));
+        }
+        return `?${params.toString()}`;
+    }
+    
+    // Build the discover params for content page filters of one media type: genre, release year range, minimum
+    // rating and sort order (availability isn't known to Jellyseerr's discover and is filtered in the browser)
+    buildFilterParams(filters, mediaType) {
+        const params = {};
+        if (!filters) {
+            return params;
+        }
+        
+        const dateParam = mediaType === 'movie' ? 'primaryReleaseDate' : 'firstAirDate';
+        if (filters.genre) {
+            params.genre = filters.genre;
+        }
+        if (filters.yearFrom) {
+            params[`${dateParam}Gte`] = `${filters.yearFrom}-01-01`;
+        }
+        if (filters.yearTo) {
+            params[`${dateParam}Lte`] = `${filters.yearTo}-12-31`;
+        }
+        if (filters.minRating) {
+            params.voteAverageGte = filters.minRating;
+        }
+        
+        const sortOrders = contentSortOrders[filters.sort] || contentSortOrders.popularity;
+        params.sortBy = sortOrders[mediaType];
+        return params;
+    }
+    
+    // Get the Radarr (movies) or Sonarr (TV shows) servers configured in Jellyseerr
+    async getServices(mediaType) {
+        return await this.makeRequest(`/service/${mediaType === 'movie' ? 'radarr' : 'sonarr'}`);
+    }
+    
+    // Get a Radarr/Sonarr server's quality profiles, root folders and (Sonarr) language profiles
+    async getServiceDetails(mediaType, serverId) {
+        return await this.makeRequest(`/service/${mediaType === 'movie' ? 'radarr' : 'sonarr'}/${serverId}`);
+    }
+    
+    // Get full details for a movie or TV show (including seasons and media info)
+    async getMediaDetails(id, mediaType, signal = null) {
+        return await this.makeRequest(`/${mediaType}/${id}`, 'GET', null, { signal: signal });
+    }
+    
+    // Request content (movie or TV show)
+    async requestContent(id, mediaType, options = {}) {
+        const body = {
+            mediaId: id,
+            mediaType: mediaType
+        };
+        
+        // TV requests need their seasons: the ones picked, otherwise "all" for the whole show
+        if (mediaType === 'tv') {
+            body.seasons = options.seasons && options.seasons.length > 0 ? options.seasons : 'all';
+        }
+        
+        // Advanced options: 4K vs regular server, server, quality profile, root folder and language profile
+        // (Jellyseerr uses the server defaults for anything omitted)
+        if (options.is4k) {
+            body.is4k = true;
+        }
+        ['serverId', 'profileId', 'rootFolder', 'languageProfileId'].forEach(key => {
+            if (options[key] !== undefined && options[key] !== null) {
+                body[key] = options[key];
+            }
+        });
+        
+        // Request on behalf of a specific Jellyseerr user (the API key owner when omitted)
+        if (options.userId) {
+            body.userId = options.userId;
+        }
+        
+        return await this.makeRequest(`/request`, 'POST', body);
+    }
+}
+
+// Per-user watchlist of titles saved to request later, stored in the user's Jellyfin display preferences
+class JellyseerrWatchlist {
+    constructor() {
+        this.entries = [];
+        this.preferences = null;
+        this.userId = null;
+        this.loaded = false;
+    }
+    
+    // Load the watchlist of a Jellyfin user
+    async load(jellyfinUser) {
+        this.loaded = false;
+        this.userId = jellyfinUser.Id;
+        this.preferences = await Jellyfin.Api.getDisplayPreferences(watchlistPreferences.id, this.userId,
+            watchlistPreferences.client);
+        
+        const customPrefs = this.preferences.CustomPrefs || {};
+        try {
+            this.entries = JSON.parse(customPrefs[watchlistPreferences.key] || '[]');
+        } catch (error) {
+            console.error("Ignoring an unreadable watchlist:", error);
+            this.entries = [];
+        }
+        this.loaded = true;
+    }
+    
+    // Save the watchlist (custom preferences only hold strings, so it's stored as JSON). Refuses to save a watchlist
+    // that failed to load, which would overwrite the stored one with an empty list.
+    async save() {
+        if (!this.loaded) {
+            throw new Error('The watchlist has not been loaded');
+        }
+        
+        const preferences = Object.assign({}, this.preferences);
+        preferences.CustomPrefs = Object.assign({}, preferences.CustomPrefs, {
+            [watchlistPreferences.key]: JSON.stringify(this.entries)
+        });
+        
+        await Jellyfin.Api.updateDisplayPreferences(watchlistPreferences.id, preferences, this.userId,
+            watchlistPreferences.client);
+        this.preferences = preferences;
+    }
+    
+    // Get all watchlist entries (content items with addedAt and availableSince)
+    getEntries() {
+        return this.entries;
+    }
+    
+    // Check whether an item is on the watchlist
+    has(item) {
+        return this.entries.some(entry => entry.id === item.id && entry.mediaType === item.mediaType);
+    }
+    
+    // Add an item, keeping only what's needed to render its card later
+    add(item, available = false) {
+        if (this.has(item)) return;
+        
+        const now = new Date().toISOString();
+        this.entries.push({
+            id: item.id,
+            mediaType: item.mediaType,
+            title: item.title,
+            name: item.name,
+            posterPath: item.posterPath,
+            releaseDate: item.releaseDate,
+            firstAirDate: item.firstAirDate,
+            addedAt: now,
+            availableSince: available ? now : null
+        });
+    }
+    
+    // Remove an item, returning its entry (null if it wasn't on the watchlist)
+    remove(item) {
+        const index = this.entries.findIndex(entry => entry.id === item.id && entry.mediaType === item.mediaType);
+        if (index === -1) return null;
+        
+        return this.entries.splice(index, 1)[0];
+    }
+    
+    // Put a removed entry back unchanged (keeping when it was added)
+    restore(entry) {
+        if (!this.has(entry)) {
+            this.entries.push(entry);
+        }
+    }
+    
+    // Record when an entry became available
+    markAvailable(entry) {
+        entry.availableSince = new Date().toISOString();
+    }
+}
+
+// Indexes the local Jellyfin library by TMDB/TVDB/IMDb provider ids, so availability and deep links don't depend
+// on Jellyseerr having synced the library yet
+class JellyfinLibraryReconciler {
+    constructor() {
+        this.index = null;
+        this.seasonCounts = {};
+        this.collections = null;
+        this.lastRefresh = null;
+    }
+    
+    // Index the Jellyfin ids of the movies, series and collections the user can see by provider id. An incremental
+    // refresh only adds items saved since the last refresh; a full one (on every data refresh) also drops
+    // items that were removed from the library.
+    async refresh(jellyfinUser, incremental = false) {
+        const since = incremental && this.index ? this.lastRefresh : null;
+        const startedAt = new Date();
+        const libraryItems = await this.fetchItems(jellyfinUser, since);
+        
+        const index = since ? this.index : {};
+        const seasonCounts = since ? this.seasonCounts : {};
+        const collections = since ?
+            this.collections.filter(collection => !libraryItems.some(libraryItem => libraryItem.Id === collection.id)) :
+            [];
+        libraryItems.forEach(libraryItem => {
+            const providerIds = libraryItem.ProviderIds || {};
+            
+            // Collections (box sets) are kept by their TMDB collection id
+            if (libraryItem.Type === 'BoxSet') {
+                if (providerIds.Tmdb) {
+                    collections.push({ id: libraryItem.Id, tmdbId: providerIds.Tmdb, name: libraryItem.Name });
+                }
+                return;
+            }
+            
+            const mediaType = libraryItem.Type === 'Movie' ? 'movie' : 'tv';
+            
+            // A series' child count is its number of seasons in the library
+            if (mediaType === 'tv' && libraryItem.ChildCount !== undefined) {
+                seasonCounts[libraryItem.Id] = libraryItem.ChildCount;
+            }
+            
+            // TMDB ids are only unique per media type, TVDB and IMDb ids are unique on their own
+            if (providerIds.Tmdb) index[`tmdb:${mediaType}:${providerIds.Tmdb}`] = libraryItem.Id;
+            if (providerIds.Tvdb) index[`tvdb:${providerIds.Tvdb}`] = libraryItem.Id;
+            if (providerIds.Imdb) index[`imdb:${providerIds.Imdb}`] = libraryItem.Id;
+        });
+        
+        this.index = index;
+        this.seasonCounts = seasonCounts;
+        this.collections = collections;
+        this.lastRefresh = startedAt;
+        console.log(since ?
+            `Indexed ${libraryItems.length} new or changed Jellyfin library items` :
+            `Indexed ${libraryItems.length} Jellyfin library items`);
+    }
+    
+    // Load the movies, series and collections the user can see a page at a time (only those saved since a date
+    // when given)
+    async fetchItems(jellyfinUser, since = null) {
+        const libraryItems = [];
+        
+        for (let startIndex = 0; ; startIndex += libraryPageSize) {
+            const query = {
+                userId: jellyfinUser ? jellyfinUser.Id : undefined,
+                IncludeItemTypes: 'Movie,Series,BoxSet',
+                Recursive: true,
+                Fields: 'ProviderIds,ChildCount',
+                StartIndex: startIndex,
+                Limit: libraryPageSize
+            };
+            if (since) {
+                query.MinDateLastSaved = since.toISOString();
+            }
+            
+            const response = await Jellyfin.Api.getItems(query);
+            const page = response.Items || [];
+            libraryItems.push(...page);
+            
+            if (page.length < libraryPageSize || libraryItems.length >= (response.TotalRecordCount || 0)) {
+                return libraryItems;
+            }
+        }
+    }
+    
+    // Get the TMDB ids of all movies in the library
+    getMovieIds() {
+        return Object.keys(this.index || {})
+            .filter(key => key.startsWith('tmdb:movie:'))
+            .map(key => key.substring('tmdb:movie:'.length));
+    }
+    
+    // Get the season numbers of a library series (specials left out)
+    async getSeasonNumbers(jellyfinUser, seriesId) {
+        const response = await Jellyfin.Api.getItems({
+            userId: jellyfinUser ? jellyfinUser.Id : undefined,
+            ParentId: seriesId,
+            IncludeItemTypes: 'Season'
+        });
+        
+        return (response.Items || [])
+            .map(season => season.IndexNumber)
+            .filter(seasonNumber => seasonNumber > 0);
+    }
+    
+    // Get the number of seasons of a library series, or null if unknown
+    getSeasonCount(jellyfinId) {
+        return this.seasonCounts[jellyfinId] !== undefined ? this.seasonCounts[jellyfinId] : null;
+    }
+    
+    // Find the Jellyfin item id for a content item by TMDB id, then TVDB and IMDb ids (from the item's media info
+    // or external ids when present), or null if it isn't in the library
+    findItemId(item) {
+        if (!this.index || (item.mediaType !== 'movie' && item.mediaType !== 'tv')) {
+            return null;
+        }
+        
+        const mediaInfo = item.mediaInfo || {};
+        const externalIds = item.externalIds || {};
+        const tvdbId = mediaInfo.tvdbId || externalIds.tvdbId;
+        const imdbId = mediaInfo.imdbId || externalIds.imdbId || item.imdbId;
+        
+        return this.index[`tmdb:${item.mediaType}:${item.id}`] ||
+            (tvdbId && this.index[`tvdb:${tvdbId}`]) ||
+            (imdbId && this.index[`imdb:${imdbId}`]) ||
+            null;
+    }
+}
+
+// Checks the Jellyseerr connection, API key, configured networks/studios and the Jellyfin proxy for the settings page
+class JellyseerrDiagnostics {
+    constructor(settings) {
+        // Don't retry, so a failing check is reported quickly
+        this.options = Object.assign({}, pluginConfig.defaultSettings, settings, { requestRetries: 0 });
+        this.serverConnector = new JellyseerrServerConnector(this.options, true);
+        this.proxyConnector = new JellyseerrServerConnector(this.options);
+    }
+    
+    // Run all checks in order; checks that depend on a failed one are skipped
+    // Each result is { name, status: 'pass' | 'fail' | 'skip', message }
+    async run() {
+        const results = [];
+        const add = (name, status, message) => {
+            results.push({ name: name, status: status, message: message });
+        };
+        const skipRemaining = names => {
+            names.forEach(name => add(name, 'skip', 'Skipped because an earlier check failed.'));
+            return results;
+        };
+        
+        // Reachability and version (the status endpoint doesn't need an API key)
+        let status;
+        try {
+            status = await this.serverConnector.getStatus();
+            add('Reachability', 'pass', `Reached Jellyseerr at ${this.options.jellyseerrUrl}.`);
+        } catch (error) {
+            add('Reachability', 'fail', this.describeReachabilityError(error));
+            return skipRemaining(['Version', 'API key', 'Permissions', 'Networks & studios', 'Jellyfin proxy']);
+        }
+        
+        if (status.version) {
+            add('Version', 'pass', status.updateAvailable ?
+                `Jellyseerr ${status.version} (an update is available).` :
+                `Jellyseerr ${status.version}.`);
+        } else {
+            add('Version', 'fail', 'Jellyseerr did not report its version. Is this URL a Jellyseerr server?');
+        }
+        
+        // API key
+        if (!this.options.jellyseerrApiKey) {
+            add('API key', 'fail', 'No API key is configured.');
+            return skipRemaining(['Permissions', 'Networks & studios', 'Jellyfin proxy']);
+        }
+        
+        let keyUser;
+        try {
+            keyUser = await this.serverConnector.getCurrentUser();
+            add('API key', 'pass', `The API key belongs to ${keyUser.displayName || keyUser.email || `user ${keyUser.id}`}.`);
+        } catch (error) {
+            add('API key', 'fail', error instanceof JellyseerrAuthError ?
+                'Jellyseerr rejected the API key.' :
+                `Could not validate the API key: ${error.message}`);
+            return skipRemaining(['Permissions', 'Networks & studios', 'Jellyfin proxy']);
+        }
+        
+        // Permissions needed by the plugin's features
+        const missing = [
+            [jellyseerrPermission.REQUEST, 'request content'],
+            [jellyseerrPermission.MANAGE_REQUESTS, 'manage requests (approval queue, requesting for other users)'],
+            [jellyseerrPermission.MANAGE_USERS, 'manage users (user mapping)']
+        ].filter(([permission]) => !hasJellyseerrPermission(keyUser.permissions, permission))
+            .map(([, description]) => description);
+        
+        if (missing.length === 0) {
+            add('Permissions', 'pass', 'The API key has all permissions the plugin needs.');
+        } else {
+            add('Permissions', 'fail', `The API key can't ${missing.join(', ')}.`);
+        }
+        
+        // Networks and studios shown on the home screen
+        try {
+            const [networks, studios] = await Promise.all([
+                this.serverConnector.makeRequest('/networks'),
+                this.serverConnector.makeRequest('/studios')
+            ]);
+            const foundNetworks = this.options.displayNetworks.filter(name => networks.some(network => network.name === name));
+            const foundStudios = this.options.displayStudios.filter(name => studios.some(studio => studio.name === name));
+            const message = `${foundNetworks.length} of ${this.options.displayNetworks.length} configured networks and ` +
+                `${foundStudios.length} of ${this.options.displayStudios.length} configured studios were found.`;
+            
+            add('Networks & studios', foundNetworks.length + foundStudios.length > 0 ? 'pass' : 'fail', message);
+        } catch (error) {
+            add('Networks & studios', 'fail', `Could not load networks and studios: ${error.message}`);
+        }
+        
+        // The proxy users' browsers go through (uses the saved settings, so it only passes once they're saved)
+        try {
+            await this.proxyConnector.getCurrentUser();
+            add('Jellyfin proxy', 'pass', 'The Jellyfin server forwards calls to Jellyseerr.');
+        } catch (error) {
+            add('Jellyfin proxy', 'fail', error instanceof JellyseerrNotFoundError ?
+                'The Jellyfin server has no Jellyseerr proxy. Update the server-side part of the plugin.' :
+                `The Jellyfin server could not forward calls to Jellyseerr: ${error.message}`);
+        }
+        
+        return results;
+    }
+    
+    // Explain why Jellyseerr couldn't be reached
+    describeReachabilityError(error) {
+        if (error instanceof JellyseerrOfflineError) {
+            return error.timedOut ?
+                `Jellyseerr at ${this.options.jellyseerrUrl} did not respond in time.` :
+                `Could not connect to ${this.options.jellyseerrUrl}. Check the URL and that Jellyseerr is running.`;
+        }
+        if (error instanceof JellyseerrNotFoundError) {
+            return `${this.options.jellyseerrUrl} does not look like a Jellyseerr server.`;
+        }
+        return `Jellyseerr returned an error: ${error.message}`;
+    }
+}
+
+// Check a Jellyseerr permission bitmask (admins have every permission)
+function hasJellyseerrPermission(permissions, permission) {
+    return (permissions & jellyseerrPermission.ADMIN) !== 0 || (permissions & permission) !== 0;
+}
+
+// Render the "Test connection" button and diagnostics results in the plugin settings
+function renderDiagnosticsPanel(container, getSettings) {
+    const panel = document.createElement('div');
+    panel.className = 'diagnostics-panel';
+    
+    const testBtn = document.createElement('button');
+    testBtn.type = 'button';
+    testBtn.className = 'request-button diagnostics-button';
+    testBtn.textContent = 'Test connection';
+    panel.appendChild(testBtn);
+    
+    const resultList = document.createElement('ul');
+    resultList.className = 'diagnostics-results';
+    panel.appendChild(resultList);
+    
+    testBtn.addEventListener('click', async () => {
+        testBtn.disabled = true;
+        testBtn.textContent = 'Testing...';
+        resultList.innerHTML = '';
+        
+        let results;
+        try {
+            results = await new JellyseerrDiagnostics(getSettings()).run();
+        } catch (error) {
+            console.error("Error running the connection diagnostics:", error);
+            results = [{ name: 'Diagnostics', status: 'fail', message: `The diagnostics could not run: ${error.message}` }];
+        } finally {
+            testBtn.disabled = false;
+            testBtn.textContent = 'Test connection';
+        }
+        
+        const icons = { pass: '\u2714', fail: '\u2716', skip: '\u2013' };
+        
+        results.forEach(result => {
+            const row = document.createElement('li');
+            row.className = `diagnostics-result ${result.status}`;
+            
+            const icon = document.createElement('span');
+            icon.className = 'diagnostics-icon';
+            icon.textContent = icons[result.status];
+            row.appendChild(icon);
+            
+            const name = document.createElement('span');
+            name.className = 'diagnostics-name';
+            name.textContent = result.name;
+            row.appendChild(name);
+            
+            const message = document.createElement('span');
+            message.className = 'diagnostics-message';
+            message.textContent = result.message;
+            row.appendChild(message);
+            
+            resultList.appendChild(row);
+        });
+    });
+    
+    container.appendChild(panel);
+}
+
+// Base error for failed Jellyseerr API calls
+class JellyseerrApiError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'JellyseerrApiError';
+        this.status = status;
+    }
+}
+
+// The API key is missing, invalid or lacks permission (401/403)
+class JellyseerrAuthError extends JellyseerrApiError {
+    constructor(message, status) {
+        super(message, status);
+        this.name = 'JellyseerrAuthError';
+    }
+}
+
+// The requested resource doesn't exist (404)
+class JellyseerrNotFoundError extends JellyseerrApiError {
+    constructor(message, status) {
+        super(message, status);
+        this.name = 'JellyseerrNotFoundError';
+    }
+}
+
+// Too many requests (429), retryAfter is in seconds when Jellyseerr sends it
+class JellyseerrRateLimitError extends JellyseerrApiError {
+    constructor(message, status, retryAfter = null) {
+        super(message, status);
+        this.name = 'JellyseerrRateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Jellyseerr failed to handle the request (5xx)
+class JellyseerrServerError extends JellyseerrApiError {
+    constructor(message, status) {
+        super(message, status);
+        this.name = 'JellyseerrServerError';
+    }
+}
+
+// The logged-in Jellyfin user has no mapped or matching Jellyseerr account (not an API error, nothing was sent)
+class JellyseerrUnlinkedUserError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JellyseerrUnlinkedUserError';
+    }
+}
+
+// Jellyseerr couldn't be reached or didn't respond in time
+class JellyseerrOfflineError extends JellyseerrApiError {
+    constructor(message, timedOut = false) {
+        super(message);
+        this.name = 'JellyseerrOfflineError';
+        this.timedOut = timedOut;
+    }
+}
+
+// Persistent cache for Jellyseerr responses, kept in localStorage so data survives page loads
+class JellyseerrPersistentCache {
+    constructor(namespace) {
+        // Namespaced per Jellyseerr server so switching servers doesn't show old data
+        this.prefix = `jellyseerr-cache:${namespace}:`;
+        this.storage = this.getStorage();
+    }
+    
+    // Get localStorage, or null when the browser doesn't allow it
+    getStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.getItem(this.prefix);
+            return storage;
+        } catch (error) {
+            console.warn("Persistent cache unavailable:", error);
+            return null;
+        }
+    }
+    
+    // Get a cache entry ({ data, storedAt }) or null
+    get(key) {
+        if (!this.storage) return null;
+        
+        try {
+            const value = this.storage.getItem(this.prefix + key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.warn(`Invalid persistent cache entry ${key}:`, error);
+            return null;
+        }
+    }
+    
+    // Store data in the cache
+    set(key, data) {
+        if (!this.storage) return;
+        
+        const value = JSON.stringify({ data: data, storedAt: Date.now() });
+        try {
+            this.storage.setItem(this.prefix + key, value);
+        } catch (error) {
+            // Storage is full: drop the oldest half of our entries and try once more
+            this.prune(0.5);
+            try {
+                this.storage.setItem(this.prefix + key, value);
+            } catch (retryError) {
+                console.warn(`Failed to write persistent cache entry ${key}:`, retryError);
+            }
+        }
+    }
+    
+    // Get the storage keys and store times of all entries, oldest first
+    getEntries() {
+        const entries = [];
+        
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (!storageKey || !storageKey.startsWith(this.prefix)) continue;
+            
+            let storedAt = 0;
+            try {
+                storedAt = JSON.parse(this.storage.getItem(storageKey)).storedAt || 0;
+            } catch (error) {
+                // Unreadable entries are treated as oldest
+            }
+            entries.push({ storageKey: storageKey, storedAt: storedAt });
+        }
+        
+        return entries.sort((a, b) => a.storedAt - b.storedAt);
+    }
+    
+    // Remove entries older than maxAge (milliseconds)
+    removeExpired(maxAge) {
+        if (!this.storage) return;
+        
+        const now = Date.now();
+        this.getEntries()
+            .filter(entry => now - entry.storedAt > maxAge)
+            .forEach(entry => this.storage.removeItem(entry.storageKey));
+    }
+    
+    // Remove the oldest fraction of entries
+    prune(fraction) {
+        if (!this.storage) return;
+        
+        const entries = this.getEntries();
+        entries.slice(0, Math.ceil(entries.length * fraction))
+            .forEach(entry => this.storage.removeItem(entry.storageKey));
+    }
+    
+    // Remove all entries
+    clear() {
+        if (!this.storage) return;
+        
+        this.getEntries().forEach(entry => this.storage.removeItem(entry.storageKey));
+    }
+}
+
+// Maps Jellyfin users to Jellyseerr users so requests are attributed to the right account
+class JellyseerrUserMapper {
+    constructor(serverConnector, options) {
+        this.serverConnector = serverConnector;
+        this.mappings = Object.assign({}, options.userMappings);
+        this.autoMatch = options.autoMatchUsers;
+        this.jellyseerrUsers = null;
+    }
+    
+    // Get all Jellyseerr users (cached unless forced)
+    async getJellyseerrUsers(force = false) {
+        if (!this.jellyseerrUsers || force) {
+            const response = await this.serverConnector.getUsers();
+            this.jellyseerrUsers = response.results || [];
+        }
+        
+        return this.jellyseerrUsers;
+    }
+    
+    // Find the Jellyseerr user matching a Jellyfin user by linked Jellyfin account, username or email. Jellyfin
+    // users have no email field, so the email is compared with the user name (for users who log in with their
+    // email address)
+    findMatch(jellyfinUser, jellyseerrUsers) {
+        const name = (jellyfinUser.Name || '').toLowerCase();
+        
+        const byJellyfinId = jellyseerrUsers.find(user => user.jellyfinUserId === jellyfinUser.Id);
+        if (byJellyfinId) {
+            return { user: byJellyfinId, method: 'Jellyfin account' };
+        }
+        
+        const byUsername = jellyseerrUsers.find(user =>
+            (user.jellyfinUsername || user.username || '').toLowerCase() === name);
+        if (byUsername) {
+            return { user: byUsername, method: 'username' };
+        }
+        
+        const byEmail = name && jellyseerrUsers.find(user => (user.email || '').toLowerCase() === name);
+        if (byEmail) {
+            return { user: byEmail, method: 'email' };
+        }
+        
+        return null;
+    }
+    
+    // Resolve a Jellyfin user to a Jellyseerr user (null if there's no mapping or match)
+    async resolve(jellyfinUser) {
+        if (!jellyfinUser) {
+            return null;
+        }
+        
+        const jellyseerrUsers = await this.getJellyseerrUsers();
+        
+        const mappedId = this.mappings[jellyfinUser.Id];
+        if (mappedId) {
+            return jellyseerrUsers.find(user => user.id === Number(mappedId)) || null;
+        }
+        
+        if (this.autoMatch) {
+            const match = this.findMatch(jellyfinUser, jellyseerrUsers);
+            return match ? match.user : null;
+        }
+        
+        return null;
+    }
+}
+
+// CSS Styles for the plugin
+const pluginStyles = `
+/* Network & Studio Cards */
+.network-card, .studio-card {
+    width: 180px;
+    height: 100px;
+    margin: 10px;
+    background-color: #1f1f1f;
+    border-radius: 5px;
+    overflow: hidden;
+    cursor: pointer;
+    transition: transform 0.2s, box-shadow 0.2s;
+}
+
+.genre-card {
+    width: 180px;
+    height: 60px;
+    margin: 10px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background-color: #1f1f1f;
+    border-radius: 5px;
+    cursor: pointer;
+    transition: transform 0.2s, box-shadow 0.2s;
+}
+
+.network-card:hover, .studio-card:hover, .genre-card:hover {
+    transform: scale(1.05);
+    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+}
+
+.card-img {
+    width: 100%;
+    height: 70px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background-color: #2a2a2a;
+    position: relative;
+}
+
+.card-img img {
+    max-width: 90%;
+    max-height: 90%;
+    object-fit: contain;
+}
+
+.card-title {
+    padding: 5px;
+    text-align: center;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+
+/* Content Cards */
+.content-card {
+    width: 160px;
+    margin: 10px;
+    background-color: #1f1f1f;
+    border-radius: 5px;
+    overflow: hidden;
+    cursor: pointer;
+    transition: transform 0.2s, box-shadow 0.2s;
+    position: relative;
+}
+
+.content-card:hover {
+    transform: scale(1.05);
+    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+}
+
+.content-card .card-img {
+    width: 100%;
+    height: 225px;
+}
+
+.content-card .card-img img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+}
+
+.availability-badge {
+    position: absolute;
+    top: 5px;
+    right: 5px;
+    padding: 3px 8px;
+    border-radius: 3px;
+    font-size: 12px;
+    font-weight: bold;
+}
+
+.availability-badge.available {
+    background-color: #4CAF50;
+    color: white;
+}
+
+.availability-badge.not-available {
+    background-color: #F44336;
+    color: white;
+}
+
+.availability-badge.requested {
+    background-color: #FF9800;
+    color: white;
+}
+
+.availability-badge.partially-available {
+    background-color: #8BC34A;
+    color: white;
+}
+
+.season-coverage {
+    position: absolute;
+    top: 30px;
+    right: 5px;
+    padding: 2px 6px;
+    border-radius: 3px;
+    font-size: 11px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+}
+
+.request-button {
+    background-color: #03A9F4;
+    color: white;
+    border: none;
+    padding: 5px 10px;
+    margin-top: 5px;
+    border-radius: 3px;
+    cursor: pointer;
+    width: 100%;
+    transition: background-color 0.2s;
+}
+
+.request-button:hover {
+    background-color: #0288D1;
+}
+
+/* Layout */
+.horizontal-scroll {
+    display: flex;
+    overflow-x: auto;
+    padding: 10px 0;
+    -webkit-overflow-scrolling: touch;
+    scrollbar-width: thin;
+}
+
+.grid-container {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: flex-start;
+}
+
+.content-grid {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: flex-start;
+}
+
+#jellyseerr-modal-container {
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background-color: rgba(0, 0, 0, 0.7);
+    display: none;
+    align-items: center;
+    justify-content: center;
+    z-index: 9999;
+}
+
+.jellyseerr-modal {
+    background-color: #2a2a2a;
+    border-radius: 8px;
+    width: 80%;
+    max-width: 800px;
+    max-height: 90%;
+    overflow-y: auto;
+    box-shadow: 0 5px 20px rgba(0, 0, 0, 0.5);
+}
+
+.modal-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 15px;
+    border-bottom: 1px solid #444;
+}
+
+.modal-header h2 {
+    margin: 0;
+    padding: 0;
+    font-size: 1.4em;
+}
+
+.close-button {
+    background: none;
+    border: none;
+    font-size: 24px;
+    color: #ccc;
+    cursor: pointer;
+}
+
+.close-button:hover {
+    color: white;
+}
+
+.modal-content {
+    padding: 15px;
+    display: flex;
+    flex-direction: row;
+    gap: 20px;
+}
+
+@media (max-width: 768px) {
+    .modal-content {
+        flex-direction: column;
+    }
+}
+
+.modal-poster {
+    width: 200px;
+    height: auto;
+    border-radius: 5px;
+}
+
+.modal-details {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+}
+
+.detail-item {
+    margin-bottom: 10px;
+}
+
+.detail-label {
+    font-weight: bold;
+    color: #aaa;
+}
+
+.overview {
+    max-height: 200px;
+    overflow-y: auto;
+}
+
+.modal-request-button {
+    margin-top: auto;
+    padding: 10px;
+    font-size: 16px;
+}
+
+/* Notification */
+#jellyseerr-notification-container {
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    z-index: 10000;
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+}
+
+.jellyseerr-notification {
+    background-color: #333;
+    color: white;
+    padding: 15px;
+    border-radius: 5px;
+    width: 300px;
+    box-shadow: 0 3px 10px rgba(0, 0, 0, 0.3);
+    animation: slidein 0.5s;
+    display: flex;
+    flex-direction: column;
+    gap: 5px;
+}
+
+.jellyseerr-notification.success {
+    border-left: 4px solid #4CAF50;
+}
+
+.jellyseerr-notification.error {
+    border-left: 4px solid #F44336;
+}
+
+.jellyseerr-notification.info {
+    border-left: 4px solid #2196F3;
+}
+
+.notification-title {
+    font-weight: bold;
+    font-size: 16px;
+}
+
+.notification-message {
+    font-size: 14px;
+    white-space: pre-line;
+}
+
+.fade-out {
+    animation: fadeout 0.5s;
+    opacity: 0;
+}
+
+@keyframes slidein {
+    from { transform: translateX(100%); opacity: 0; }
+    to { transform: translateX(0); opacity: 1; }
+}
+
+@keyframes fadeout {
+    from { opacity: 1; }
+    to { opacity: 0; }
+}
+
+/* Content Pages */
+.content-page {
+    padding: 20px;
+}
+
+.content-header {
+    display: flex;
+    align-items: center;
+    gap: 20px;
+    margin-bottom: 30px;
+}
+
+.content-header img {
+    max-width: 200px;
+    max-height: 100px;
+    object-fit: contain;
+}
+
+.content-section {
+    margin-bottom: 30px;
+}
+
+.content-section h2 {
+    margin-bottom: 15px;
+    border-bottom: 1px solid #444;
+    padding-bottom: 10px;
+}
+
+/* Browse Page */
+.browse-page {
+    padding: 20px;
+}
+
+.browse-section {
+    margin-bottom: 30px;
+}
+
+.browse-section h2 {
+    margin-bottom: 15px;
+    border-bottom: 1px solid #444;
+    padding-bottom: 10px;
+}
+
+/* Error Message */
+.error-message {
+    background-color: rgba(244, 67, 54, 0.1);
+    border-left: 4px solid #F44336;
+    padding: 15px;
+    margin: 20px 0;
+    color: #F44336;
+}
+
+.error-message .retry-button {
+    display: block;
+    margin-top: 10px;
+}
+`;
+
+// CSS Styles for the plugin (additional features)
+const pluginStylesContinued = `
+/* Season Picker */
+.season-list {
+    display: flex;
+    flex-direction: column;
+    gap: 5px;
+    margin-top: 5px;
+    max-height: 200px;
+    overflow-y: auto;
+}
+
+.season-option {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    cursor: pointer;
+}
+
+.season-option.available,
+.season-option.requested {
+    cursor: default;
+    color: #888;
+}
+
+.season-status {
+    padding: 1px 6px;
+    border-radius: 3px;
+    font-size: 11px;
+    font-weight: bold;
+    color: white;
+}
+
+.season-status.available {
+    background-color: #4CAF50;
+}
+
+.season-status.requested {
+    background-color: #FF9800;
+}
+
+/* My Requests Page */
+.refresh-button {
+    margin-left: auto;
+    background-color: #333;
+    color: white;
+    border: 1px solid #555;
+    padding: 5px 15px;
+    border-radius: 3px;
+    cursor: pointer;
+}
+
+.refresh-button:hover {
+    background-color: #444;
+}
+
+.request-list {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+}
+
+.request-row {
+    display: flex;
+    align-items: center;
+    gap: 15px;
+    padding: 10px;
+    background-color: #1f1f1f;
+    border-radius: 5px;
+    cursor: pointer;
+}
+
+.request-row:hover {
+    background-color: #2a2a2a;
+}
+
+.request-poster {
+    width: 46px;
+    height: 69px;
+    object-fit: cover;
+    border-radius: 3px;
+}
+
+.request-info {
+    flex: 1;
+    min-width: 0;
+}
+
+.request-title {
+    font-weight: bold;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+
+.request-meta {
+    font-size: 13px;
+    color: #aaa;
+}
+
+.request-status {
+    padding: 3px 8px;
+    border-radius: 3px;
+    font-size: 12px;
+    font-weight: bold;
+    color: white;
+}
+
+.request-status.pending {
+    background-color: #FF9800;
+}
+
+.request-status.approved {
+    background-color: #2196F3;
+}
+
+.request-status.declined {
+    background-color: #F44336;
+}
+
+.request-status.processing {
+    background-color: #9C27B0;
+}
+
+.request-status.available {
+    background-color: #4CAF50;
+}
+
+.empty-message {
+    color: #aaa;
+    padding: 20px 0;
+}
+
+/* Approval Queue */
+.request-actions,
+.decline-reason-form {
+    display: flex;
+    align-items: center;
+    gap: 5px;
+}
+
+.decline-reason-form input {
+    padding: 5px;
+    border-radius: 3px;
+    border: 1px solid #555;
+    background-color: #1f1f1f;
+    color: white;
+}
+
+.approve-button,
+.decline-button,
+.cancel-button {
+    border: none;
+    color: white;
+    padding: 5px 10px;
+    border-radius: 3px;
+    cursor: pointer;
+}
+
+.approve-button {
+    background-color: #4CAF50;
+}
+
+.decline-button {
+    background-color: #F44336;
+}
+
+.cancel-button {
+    background-color: #555;
+}
+
+.approve-button:disabled,
+.decline-button:disabled,
+.cancel-button:disabled {
+    opacity: 0.5;
+    cursor: default;
+}
+
+/* User Mapping */
+.page-description {
+    color: #aaa;
+    margin-bottom: 20px;
+}
+
+.user-mapping-table {
+    width: 100%;
+    border-collapse: collapse;
+    margin-bottom: 20px;
+}
+
+.user-mapping-table th,
+.user-mapping-table td {
+    text-align: left;
+    padding: 8px;
+    border-bottom: 1px solid #444;
 }
 
-// CSS Styles for the plugin
-const pluginStyles = `
-/* Network & Studio Cards */
-.network-card, .studio-card {
-    width: 180px;
-    height: 100px;
-    margin: 10px;
+.user-mapping-table select {
+    width: 100%;
+    padding: 5px;
     background-color: #1f1f1f;
-    border-radius: 5px;
-    overflow: hidden;
-    cursor: pointer;
-    transition: transform 0.2s, box-shadow 0.2s;
+    color: white;
+    border: 1px solid #555;
+    border-radius: 3px;
 }
 
-.network-card:hover, .studio-card:hover {
-    transform: scale(1.05);
-    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+.match-method {
+    color: #aaa;
+    font-size: 13px;
 }
 
-.card-img {
-    width: 100%;
-    height: 70px;
+.page-actions {
     display: flex;
-    align-items: center;
-    justify-content: center;
-    background-color: #2a2a2a;
-    position: relative;
+    gap: 10px;
+    justify-content: flex-end;
 }
 
-.card-img img {
-    max-width: 90%;
-    max-height: 90%;
-    object-fit: contain;
+.page-actions .refresh-button {
+    margin-left: 0;
 }
 
-.card-title {
-    padding: 5px;
-    text-align: center;
-    white-space: nowrap;
-    overflow: hidden;
-    text-overflow: ellipsis;
+.save-button {
+    width: auto;
+    margin-top: 0;
 }
 
-/* Content Cards */
-.content-card {
-    width: 160px;
-    margin: 10px;
-    background-color: #1f1f1f;
-    border-radius: 5px;
-    overflow: hidden;
-    cursor: pointer;
-    transition: transform 0.2s, box-shadow 0.2s;
-    position: relative;
+/* Search */
+.search-form {
+    display: flex;
+    gap: 10px;
+    margin-bottom: 30px;
+    max-width: 600px;
 }
 
-.content-card:hover {
-    transform: scale(1.05);
-    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+.search-form input {
+    flex: 1;
+    padding: 8px 10px;
+    border-radius: 3px;
+    border: 1px solid #555;
+    background-color: #1f1f1f;
+    color: white;
+    font-size: 16px;
 }
 
-.content-card .card-img {
-    width: 100%;
-    height: 225px;
+.search-form .request-button {
+    width: auto;
+    margin-top: 0;
+    padding: 8px 20px;
 }
 
-.content-card .card-img img {
-    width: 100%;
-    height: 100%;
-    object-fit: cover;
+.pager {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    gap: 15px;
+    margin: 20px 0;
 }
 
-.availability-badge {
-    position: absolute;
-    top: 5px;
-    right: 5px;
-    padding: 3px 8px;
+.pager button {
+    background-color: #333;
+    color: white;
+    border: 1px solid #555;
+    padding: 5px 15px;
     border-radius: 3px;
-    font-size: 12px;
-    font-weight: bold;
+    cursor: pointer;
 }
 
-.availability-badge.available {
-    background-color: #4CAF50;
-    color: white;
+.pager button:disabled {
+    opacity: 0.5;
+    cursor: default;
 }
 
-.availability-badge.not-available {
-    background-color: #F44336;
-    color: white;
+.pager-info {
+    color: #aaa;
 }
 
-.availability-badge.requested {
-    background-color: #FF9800;
+/* Infinite Scroll */
+.load-more-button {
+    display: block;
+    margin: 15px auto;
+    background-color: #333;
     color: white;
+    border: 1px solid #555;
+    padding: 8px 20px;
+    border-radius: 3px;
+    cursor: pointer;
 }
 
-.request-button {
-    background-color: #03A9F4;
+.load-more-button:disabled {
+    opacity: 0.5;
+    cursor: default;
+}
+
+/* Content Toolbar */
+.content-toolbar {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: flex-end;
+    gap: 15px;
+    margin-bottom: 20px;
+    padding: 10px;
+    background-color: #1f1f1f;
+    border-radius: 5px;
+}
+
+.toolbar-field {
+    display: flex;
+    flex-direction: column;
+    gap: 3px;
+    font-size: 12px;
+    color: #aaa;
+}
+
+.toolbar-field select,
+.toolbar-field input {
+    padding: 5px;
+    background-color: #2a2a2a;
     color: white;
-    border: none;
+    border: 1px solid #555;
+    border-radius: 3px;
+}
+
+.toolbar-field input {
+    width: 80px;
+}
+
+.toolbar-reset {
+    background: none;
+    border: 1px solid #555;
+    color: #ccc;
     padding: 5px 10px;
-    margin-top: 5px;
     border-radius: 3px;
     cursor: pointer;
-    width: 100%;
-    transition: background-color 0.2s;
 }
 
-.request-button:hover {
-    background-color: #0288D1;
+/* Connection Diagnostics */
+.diagnostics-button {
+    width: auto;
+    padding: 8px 20px;
 }
 
-/* Layout */
-.horizontal-scroll {
+.diagnostics-results {
+    list-style: none;
+    padding: 0;
+    margin: 10px 0 0;
+}
+
+.diagnostics-result {
     display: flex;
-    overflow-x: auto;
-    padding: 10px 0;
-    -webkit-overflow-scrolling: touch;
-    scrollbar-width: thin;
+    align-items: baseline;
+    gap: 10px;
+    padding: 5px 0;
+    border-bottom: 1px solid #333;
 }
 
-.grid-container {
+.diagnostics-icon {
+    width: 16px;
+    font-weight: bold;
+}
+
+.diagnostics-result.pass .diagnostics-icon {
+    color: #4CAF50;
+}
+
+.diagnostics-result.fail .diagnostics-icon {
+    color: #F44336;
+}
+
+.diagnostics-result.skip {
+    color: #888;
+}
+
+.diagnostics-name {
+    width: 150px;
+    font-weight: bold;
+}
+
+.diagnostics-message {
+    flex: 1;
+}
+
+/* Details Modal Extras */
+.modal-extra-details {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+}
+
+.watch-providers {
     display: flex;
     flex-wrap: wrap;
-    justify-content: flex-start;
+    align-items: center;
+    gap: 8px;
 }
 
-.content-grid {
+.watch-provider-logo {
+    width: 32px;
+    height: 32px;
+    border-radius: 6px;
+    vertical-align: middle;
+}
+
+.modal-scores {
     display: flex;
     flex-wrap: wrap;
-    justify-content: flex-start;
+    gap: 15px;
 }
 
-#jellyseerr-modal-container {
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background-color: rgba(0, 0, 0, 0.7);
-    display: none;
-    align-items: center;
-    justify-content: center;
-    z-index: 9999;
+.trailer-link {
+    color: #03A9F4;
+    text-decoration: none;
+    font-weight: bold;
 }
 
-.jellyseerr-modal {
-    background-color: #2a2a2a;
-    border-radius: 8px;
-    width: 80%;
-    max-width: 800px;
-    max-height: 90%;
-    overflow-y: auto;
-    box-shadow: 0 5px 20px rgba(0, 0, 0, 0.5);
+.trailer-link:hover {
+    text-decoration: underline;
 }
 
-.modal-header {
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    padding: 15px;
+.modal-extras {
+    padding: 0 15px 15px;
+}
+
+.modal-section h3 {
+    margin: 10px 0 5px;
     border-bottom: 1px solid #444;
+    padding-bottom: 5px;
+}
+
+.cast-card {
+    flex: 0 0 100px;
+    margin: 5px;
+    text-align: center;
+    cursor: pointer;
+}
+
+.cast-card img {
+    width: 100px;
+    height: 150px;
+    object-fit: cover;
+    border-radius: 5px;
+    background-color: #1f1f1f;
+}
+
+.cast-name {
+    font-size: 13px;
+    font-weight: bold;
+}
+
+.cast-character {
+    font-size: 12px;
+    color: #aaa;
+}
+
+.similar-list .content-card {
+    flex: 0 0 130px;
+    width: 130px;
+}
+
+.similar-list .content-card .card-img {
+    height: 195px;
+}
+
+/* Request Quota */
+.quota-summary {
+    display: flex;
+    flex-direction: column;
+    gap: 3px;
+    margin-bottom: 15px;
+    font-size: 13px;
+    color: #aaa;
+}
+
+.quota-line.exhausted {
+    color: #FF9800;
+}
+
+.request-button:disabled {
+    background-color: #555;
+    cursor: not-allowed;
+}
+
+/* Watchlist */
+.watchlist-toggle.card {
+    position: absolute;
+    top: 5px;
+    left: 5px;
+    background-color: rgba(0, 0, 0, 0.6);
+    color: white;
+    border: none;
+    border-radius: 3px;
+    padding: 2px;
+    font-size: 18px;
+    cursor: pointer;
+}
+
+.watchlist-toggle.card.active {
+    color: #FFC107;
+}
+
+.watchlist-toggle.modal {
+    background-color: #333;
+    color: white;
+    border: 1px solid #555;
+    padding: 8px 15px;
+    margin-left: 10px;
+    border-radius: 3px;
+    cursor: pointer;
+}
+
+.watchlist-toggle.modal.active {
+    border-color: #FFC107;
+    color: #FFC107;
+}
+
+.content-card.now-available {
+    box-shadow: 0 0 0 2px #4CAF50;
+}
+
+.now-available-label {
+    padding: 3px 10px 8px;
+    font-size: 12px;
+    font-weight: bold;
+    color: #4CAF50;
+}
+
+/* Genre and Keyword Links */
+.detail-link {
+    color: #03A9F4;
+    text-decoration: none;
+}
+
+.detail-link:hover {
+    text-decoration: underline;
+}
+
+/* Person Page */
+.person-header {
+    display: flex;
+    gap: 20px;
+    margin-bottom: 30px;
+}
+
+.person-photo {
+    width: 200px;
+    height: 300px;
+    object-fit: cover;
+    border-radius: 5px;
+    background-color: #1f1f1f;
+    flex-shrink: 0;
 }
 
-.modal-header h2 {
-    margin: 0;
-    padding: 0;
-    font-size: 1.4em;
+.person-info {
+    flex: 1;
 }
 
-.close-button {
-    background: none;
-    border: none;
-    font-size: 24px;
+.person-biography {
+    max-height: 250px;
+    overflow-y: auto;
+    line-height: 1.5;
     color: #ccc;
-    cursor: pointer;
 }
 
-.close-button:hover {
-    color: white;
+.jellyseerr-details-injection {
+    padding: 0 20px;
 }
 
-.modal-content {
-    padding: 15px;
-    display: flex;
-    flex-direction: row;
-    gap: 20px;
+.jellyseerr-missing-seasons {
+    margin: 20px 0;
 }
 
-@media (max-width: 768px) {
-    .modal-content {
-        flex-direction: column;
-    }
+.jellyseerr-missing-seasons .season-list {
+    max-height: none;
 }
 
-.modal-poster {
-    width: 200px;
-    height: auto;
-    border-radius: 5px;
+.jellyseerr-details-link {
+    background-color: #03A9F4;
+    color: white;
+    border: none;
+    padding: 8px 15px;
+    margin: 10px 0;
+    border-radius: 3px;
+    cursor: pointer;
 }
 
-.modal-details {
-    flex: 1;
-    display: flex;
-    flex-direction: column;
-    gap: 10px;
+/* Collections */
+.collection-card {
+    flex: 0 0 auto;
+    width: 160px;
+    margin: 10px;
+    background-color: #1f1f1f;
+    border-radius: 5px;
+    overflow: hidden;
+    cursor: pointer;
+    transition: transform 0.2s, box-shadow 0.2s;
 }
 
-.detail-item {
-    margin-bottom: 10px;
+.collection-card:hover {
+    transform: scale(1.05);
+    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
 }
 
-.detail-label {
-    font-weight: bold;
-    color: #aaa;
+.collection-card img {
+    width: 100%;
+    height: 240px;
+    object-fit: cover;
 }
 
-.overview {
-    max-height: 200px;
-    overflow-y: auto;
+.collection-header .request-all-button {
+    margin-top: 15px;
 }
 
-.modal-request-button {
-    margin-top: auto;
-    padding: 10px;
-    font-size: 16px;
+/* Discover Rows */
+.discover-section .content-card {
+    flex: 0 0 auto;
 }
 
-/* Notification */
-#jellyseerr-notification-container {
-    position: fixed;
-    bottom: 20px;
-    right: 20px;
-    z-index: 10000;
+/* Bulk Selection */
+.selection-bar {
     display: flex;
-    flex-direction: column;
+    align-items: center;
     gap: 10px;
+    margin-bottom: 10px;
 }
 
-.jellyseerr-notification {
+.selection-button {
     background-color: #333;
     color: white;
-    padding: 15px;
-    border-radius: 5px;
-    width: 300px;
-    box-shadow: 0 3px 10px rgba(0, 0, 0, 0.3);
-    animation: slidein 0.5s;
-    display: flex;
-    flex-direction: column;
-    gap: 5px;
-}
-
-.jellyseerr-notification.success {
-    border-left: 4px solid #4CAF50;
+    border: 1px solid #555;
+    padding: 5px 15px;
+    border-radius: 3px;
+    cursor: pointer;
 }
 
-.jellyseerr-notification.error {
-    border-left: 4px solid #F44336;
+.selection-button:disabled {
+    color: #888;
+    cursor: not-allowed;
 }
 
-.jellyseerr-notification.info {
-    border-left: 4px solid #2196F3;
+.selection-progress {
+    font-size: 13px;
+    color: #aaa;
 }
 
-.notification-title {
-    font-weight: bold;
-    font-size: 16px;
+.card-select {
+    display: none;
+    position: absolute;
+    top: 0;
+    right: 0;
+    bottom: 0;
+    left: 0;
+    border: 2px solid transparent;
+    border-radius: 5px;
+    cursor: pointer;
 }
 
-.notification-message {
-    font-size: 14px;
+.content-section.selecting .card-select {
+    display: block;
 }
 
-.fade-out {
-    animation: fadeout 0.5s;
-    opacity: 0;
+.card-select::before {
+    content: '';
+    position: absolute;
+    top: 8px;
+    left: 8px;
+    width: 18px;
+    height: 18px;
+    border: 2px solid white;
+    border-radius: 3px;
+    background-color: rgba(0, 0, 0, 0.6);
 }
 
-@keyframes slidein {
-    from { transform: translateX(100%); opacity: 0; }
-    to { transform: translateX(0); opacity: 1; }
+.card-select.selected {
+    border-color: #03A9F4;
 }
 
-@keyframes fadeout {
-    from { opacity: 1; }
-    to { opacity: 0; }
+.card-select.selected::before {
+    background-color: #03A9F4;
 }
 
-/* Content Pages */
-.content-page {
-    padding: 20px;
+.card-select.disabled {
+    background-color: rgba(0, 0, 0, 0.5);
+    cursor: not-allowed;
 }
 
-.content-header {
-    display: flex;
-    align-items: center;
-    gap: 20px;
-    margin-bottom: 30px;
+.card-select.disabled::before {
+    display: none;
 }
 
-.content-header img {
-    max-width: 200px;
-    max-height: 100px;
-    object-fit: contain;
+/* Advanced Request Options */
+.advanced-options summary {
+    cursor: pointer;
 }
 
-.content-section {
-    margin-bottom: 30px;
+.advanced-fields,
+.advanced-service-fields {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
 }
 
-.content-section h2 {
-    margin-bottom: 15px;
-    border-bottom: 1px solid #444;
-    padding-bottom: 10px;
+.advanced-fields {
+    margin-top: 8px;
 }
 
-/* Browse Page */
-.browse-page {
-    padding: 20px;
+.advanced-field {
+    display: flex;
+    flex-direction: column;
+    gap: 3px;
+    font-size: 13px;
+    color: #aaa;
 }
 
-.browse-section {
-    margin-bottom: 30px;
+.advanced-field select {
+    background-color: #333;
+    color: white;
+    border: 1px solid #555;
+    padding: 5px;
+    border-radius: 3px;
 }
+`;
 
-.browse-section h2 {
-    margin-bottom: 15px;
-    border-bottom: 1px solid #444;
-    padding-bottom: 10px;
+// Add the plugin's content security policy to the page, allowing images from the Jellyfin server as well
+function installContentSecurityPolicy() {
+    const directives = Object.assign({}, contentSecurityPolicy);
+    
+    if (pluginScriptOrigin && pluginScriptOrigin !== window.location.origin) {
+        directives["img-src"] = directives["img-src"].concat(pluginScriptOrigin);
+    }
+    
+    const policy = document.createElement('meta');
+    policy.httpEquiv = 'Content-Security-Policy';
+    policy.content = Object.entries(directives)
+        .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+        .join('; ');
+    document.head.appendChild(policy);
 }
 
-/* Error Message */
-.error-message {
-    background-color: rgba(244, 67, 54, 0.1);
-    border-left: 4px solid #F44336;
-    padding: 15px;
-    margin: 20px 0;
-    color: #F44336;
+// Load the plugin settings for the logged-in user from the Jellyfin server (server.js), which leaves the API key out.
+// Falls back to the defaults if they can't be loaded, calls still go through the proxy.
+async function loadClientConfiguration() {
+    try {
+        const response = await fetch(clientConfigurationPath, {
+            headers: { 'Authorization': window.Jellyfin.Api.getAuthorizationHeader() }
+        });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error loading the Jellyseerr Integration settings, using the defaults:', error);
+        return {};
+    }
 }
-`;
 
 // Plugin installation script
-function installPlugin() {
+async function installPlugin() {
     // Create style element
     const styleElement = document.createElement('style');
     styleElement.textContent = pluginStyles + pluginStylesContinued;
     document.head.appendChild(styleElement);
     
+    // Read settings from the Jellyfin server
+    const settings = Object.assign({}, pluginConfig.defaultSettings, await loadClientConfiguration());
+    
+    // Restrict what injected content could load
+    installContentSecurityPolicy();
+    
     // Create plugin instance
-    const plugin = new JellyseerrIntegrationPlugin(
-        // Read settings from Jellyfin
-        window.Jellyfin.getPluginConfig('JellyfinJellyseerrIntegration')
-    );
+    const plugin = new JellyseerrIntegrationPlugin(settings);
     
     // Initialize plugin
-    plugin.init();
+    plugin.init().catch(error => console.error('Error initializing the Jellyseerr Integration Plugin:', error));
     
     // Store plugin instance in global scope for debugging
     window.jellyfinJellyseerrPlugin = plugin;
@@ -1160,6 +6464,17 @@ const pluginManifest = {
                 required: true,
                 helpText: "Your Jellyseerr API key (can be found in your Jellyseerr user settings)"
             },
+            {
+                name: "connectionDiagnostics",
+                type: "custom",
+                label: "Connection Diagnostics",
+                required: false,
+                helpText: "Test the URL and API key above before saving",
+                // getSettings returns the current (unsaved) form values
+                render: function(container, getSettings) {
+                    renderDiagnosticsPanel(container, getSettings);
+                }
+            },
             {
                 name: "refreshInterval",
                 type: "number",
@@ -1168,6 +6483,71 @@ const pluginManifest = {
                 required: true,
                 helpText: "How often to refresh data from Jellyseerr"
             },
+            {
+                name: "requestPollInterval",
+                type: "number",
+                label: "Request Status Poll Interval (minutes)",
+                defaultValue: 5,
+                required: true,
+                helpText: "How often to check Jellyseerr for updates to your requests"
+            },
+            {
+                name: "requestTimeout",
+                type: "number",
+                label: "Request Timeout (seconds)",
+                defaultValue: 15,
+                required: true,
+                helpText: "How long to wait for Jellyseerr to respond before giving up"
+            },
+            {
+                name: "requestRetries",
+                type: "number",
+                label: "Request Retries",
+                defaultValue: 2,
+                required: true,
+                helpText: "How many times to retry failed requests (server errors and network failures) with increasing delays"
+            },
+            {
+                name: "autoMatchUsers",
+                type: "boolean",
+                label: "Auto-match Users",
+                defaultValue: true,
+                required: false,
+                helpText: "Attribute requests to the Jellyseerr user with the same linked Jellyfin account, username or email (compared with the Jellyfin user name) when no mapping is set (users without a match can't request)"
+            },
+            {
+                name: "userMappings",
+                type: "object",
+                label: "User Mapping",
+                defaultValue: {},
+                required: false,
+                helpText: "Jellyfin to Jellyseerr user mapping, edited from the Jellyseerr User Mapping page"
+            },
+            {
+                name: "displayLanguage",
+                type: "string",
+                label: "Display Language",
+                defaultValue: "",
+                required: false,
+                helpText: "Language for titles, overviews and posters (ISO 639-1, e.g. de); leave empty to use each user's Jellyfin display language"
+            },
+            {
+                name: "region",
+                type: "string",
+                label: "Region",
+                defaultValue: "",
+                required: false,
+                helpText: "Region for content ratings and streaming services (ISO 3166-1, e.g. DE); leave empty to use each user's culture"
+            },
+            {
+                name: "homeSections",
+                type: "array",
+                elementType: "string",
+                label: "Home Screen Rows",
+                defaultValue: ["trending", "popular-movies", "popular-tv", "upcoming-movies", "upcoming-tv", "incomplete-collections"],
+                required: false,
+                helpText: "Rows to show on the home screen, in order: trending, popular-movies, popular-tv, upcoming-movies, upcoming-tv, incomplete-collections (remove a row to hide it, changes apply after reloading Jellyfin)"
+            },
             {
                 name: "displayNetworks",
                 type: "array",
@@ -1187,12 +6567,20 @@ const pluginManifest = {
                 helpText: "Studios to display on the home screen"
             }
         ],
-        onSave: function(settings) {
+        onSave: async function(settings) {
             // Reload plugin with new settings
             if (window.jellyfinJellyseerrPlugin) {
-                window.jellyfinJellyseerrPlugin.options = settings;
+                window.jellyfinJellyseerrPlugin.applySettings(settings);
                 window.jellyfinJellyseerrPlugin.refreshData();
             }
+            
+            // Warn right away when the saved settings don't work
+            const results = await new JellyseerrDiagnostics(settings).run();
+            const failed = results.filter(result => result.status === 'fail');
+            if (failed.length > 0 && window.jellyfinJellyseerrPlugin) {
+                window.jellyfinJellyseerrPlugin.showNotification('Error',
+                    `Jellyseerr connection problem: ${failed.map(result => result.message).join(' ')}`, 'error');
+            }
         }
     },
     // Files included in the plugin package
@@ -1216,6 +6604,10 @@ const pluginManifest = {
         {
             name: "images/default-tv.png",
             type: "image"
+        },
+        {
+            name: "images/default-person.png",
+            type: "image"
         }
     ]
 };
@@ -1233,25 +6625,108 @@ if (window.Jellyfin) {
  * 
  * This plugin uses the following Jellyseerr API endpoints:
  * 
+ * GET calls for metadata and discover endpoints (1-4, 6, 12, 13, 15, 16 and 20-23 below) also carry the language
+ * (displayLanguage) and region query params, so titles, overviews and posters come back localized and
+ * region-specific data matches the user. Account, request and service calls are sent without them.
+ * 
  * 1. GET /api/v1/networks
  *    - Returns a list of all networks
  * 
  * 2. GET /api/v1/studios
  *    - Returns a list of all studios
  * 
+ * Responses from 1-4 are kept in localStorage and reused for refreshInterval hours;
+ * after that the cached data is still shown at once while it's refreshed in the background.
+ * 
  * 3. GET /api/v1/network/{networkId}/content
- *    - Returns movies and TV shows for a specific network
+ *    - Returns a page of movies and TV shows for a specific network
+ *    - Query params: page, mediaType (optional, "movie" | "tv" to only page one list), and the discover
+ *      filters genre, primaryReleaseDateGte/Lte (movies), firstAirDateGte/Lte (TV), voteAverageGte, sortBy
+ *    - Returns { page, totalPages, movies, tvShows }
+ *    - The plugin always passes mediaType, so totalPages is the page count of that one list
  * 
  * 4. GET /api/v1/studio/{studioId}/content
- *    - Returns movies and TV shows for a specific studio
+ *    - Returns a page of movies and TV shows for a specific studio
+ *    - Query params and response are the same as for networks
  * 
  * 5. POST /api/v1/request
  *    - Request a movie or TV show
- *    - Body: { mediaId: number, mediaType: "movie" | "tv" }
+ *    - Body: { mediaId: number, mediaType: "movie" | "tv", seasons?: number[] | "all", userId?: number,
+ *      is4k?: boolean, serverId?: number, profileId?: number, rootFolder?: string, languageProfileId?: number }
+ *    - seasons is required for TV shows and not sent for movies; "all" requests the whole show
+ *    - userId attributes the request to the mapped Jellyseerr user
+ *    - is4k, serverId, profileId, rootFolder and languageProfileId need the advanced request permission
+ * 
+ * 6. GET /api/v1/movie/{movieId} and GET /api/v1/tv/{tvId}
+ *    - Returns full details for a movie or TV show
+ *    - Includes runtime, genres, content ratings, credits (cast and crew), relatedVideos (trailers) and
+ *      watchProviders ({ iso_3166_1, link, flatrate: [{ name, logoPath, displayPriority }] } per region)
+ *    - TV details include seasons and mediaInfo (season statuses and existing requests)
+ *    - Movie details include collection ({ id, name }); for library movies only the collection id is kept, in
+ *      an index that library syncs extend with new movies (at most collectionLookupsPerSync lookups per sync)
+ *      and the "Incomplete Collections" home row reads
+ * 
+ * 7. GET /api/v1/auth/me
+ *    - Returns the Jellyseerr user the API key belongs to (administrators only, used by the diagnostics)
+ * 
+ * 8. GET /api/v1/request
+ *    - Returns requests, newest first
+ *    - Query params: take, skip, sort, filter, requestedBy
+ * 
+ * 9. POST /api/v1/request/{requestId}/approve
+ *    - Approve a pending request
+ * 
+ * 10. POST /api/v1/request/{requestId}/decline
+ *    - Decline a pending request
+ *    - Body (optional): { reason: string }
+ * 
+ * 11. GET /api/v1/user
+ *    - Returns all Jellyseerr users (id, email, username, jellyfinUsername, jellyfinUserId, displayName)
+ *    - Through the proxy only administrators get all users, everyone else just their own record
+ * 
+ * 12. GET /api/v1/search
+ *    - Search movies, TV shows and people
+ *    - Query params: query, page
+ *    - Returns { page, totalPages, totalResults, results } with mediaInfo on each result
+ *    - "tvdb:{id}" and "imdb:{id}" queries look a title up by external id (Jellyfin items without a TMDB id)
+ * 
+ * 13. GET /api/v1/genres/movie and GET /api/v1/genres/tv
+ *    - Returns the TMDB genre list ({ id, name }) for movies or TV shows
+ * 
+ * 14. GET /api/v1/status
+ *    - Returns the Jellyseerr version and whether an update is available (no API key needed)
+ *    - Used by the connection diagnostics in the plugin settings
  * 
- * 6. GET /api/v1/search/status
- *    - Check if a movie or TV show exists in the library
- *    - Query params: tmdbId, mediaType
+ * 15. GET /api/v1/movie/{movieId}/ratingscombined and GET /api/v1/tv/{tvId}/ratings
+ *    - Returns IMDb and Rotten Tomatoes ratings (movies) or Rotten Tomatoes ratings (TV shows)
+ * 
+ * 16. GET /api/v1/movie/{movieId}/similar and GET /api/v1/tv/{tvId}/similar
+ *    - Returns a page of similar titles
+ *    - Query params: page
+ * 
+ * 17. GET /api/v1/user/{userId}/quota
+ *    - Returns { movie, tv } request quotas, each { days, limit, used, remaining, restricted }
+ * 
+ * 18. GET /api/v1/service/radarr and GET /api/v1/service/sonarr
+ *    - Returns the configured servers: id, name, is4k, isDefault, activeProfileId, activeDirectory,
+ *      activeLanguageProfileId (Sonarr)
+ * 
+ * 19. GET /api/v1/service/radarr/{serverId} and GET /api/v1/service/sonarr/{serverId}
+ *    - Returns { server, profiles, rootFolders, languageProfiles (Sonarr v3) } for a server
+ * 
+ * 20. GET /api/v1/discover/trending, /discover/movies, /discover/tv, /discover/movies/upcoming and /discover/tv/upcoming
+ *    - Returns a page of trending, popular or upcoming titles with media info
+ *    - Query params: page; /discover/movies and /discover/tv also take genre, keywords, primaryReleaseDateGte/Lte
+ *      (movies), firstAirDateGte/Lte (TV), voteAverageGte and sortBy (e.g. popularity.desc, vote_average.desc)
+ * 
+ * 21. GET /api/v1/keyword/{keywordId}
+ *    - Returns { id, name } for a keyword
+ * 
+ * 22. GET /api/v1/person/{personId} and GET /api/v1/person/{personId}/combined_credits
+ *    - Returns a person's details, and their movie and TV credits as { cast, crew } with media info
+ * 
+ * 23. GET /api/v1/collection/{collectionId}
+ *    - Returns a TMDB movie collection: id, name, overview, posterPath and parts (movies with media info)
  * 
  * The plugin also uses the following Jellyfin Client API interfaces:
  * 
@@ -1265,7 +6740,103 @@ if (window.Jellyfin) {
  *    - Register a new menu item
  * 
  * 4. Jellyfin.getPluginConfig
- *    - Get plugin configuration settings
+ *    - Get the full plugin configuration, including the API key (administrators only; used to save the user
+ *      mapping). Everyone else gets their settings from the client configuration endpoint, see below
+ * 
+ * 5. Jellyfin.getCurrentUser
+ *    - Get the logged-in Jellyfin user (Id, Name, Policy.IsAdministrator)
+ * 
+ * 6. Jellyfin.savePluginConfig
+ *    - Save plugin configuration settings
+ * 
+ * 7. Jellyfin.Api.getUsers
+ *    - Get all Jellyfin users
+ * 
+ * 8. Jellyfin.Api.getItems
+ *    - Query library items visible to a user
+ *    - Params used: userId, IncludeItemTypes ("Movie,Series,BoxSet"), Recursive, Fields ("ProviderIds,ChildCount"),
+ *      StartIndex and Limit (the library is fetched in pages of libraryPageSize), MinDateLastSaved (the
+ *      library poll only fetches items added or changed since the last indexing)
+ *    - Returns { Items, TotalRecordCount }; ProviderIds holds Tmdb, Tvdb and Imdb ids, ChildCount the number of
+ *      seasons of a series
+ *    - With ParentId and IncludeItemTypes "Season" it lists the seasons of a series (IndexNumber is the season
+ *      number), so season pickers don't offer seasons that are already in the library
+ * 
+ * 9. Jellyfin.Api.getDisplayPreferences and Jellyfin.Api.updateDisplayPreferences
+ *    - Read and save a user's display preferences (id, userId, client)
+ *    - The watchlist is stored as JSON in CustomPrefs.watchlist of the "jellyseerr" preferences
+ * 
+ * 10. Jellyfin.Api.getItem
+ *    - Get a library item (userId, itemId) with its Type and ProviderIds, used on Jellyfin details pages
+ * 
+ * 11. Jellyfin.Api.getAuthorizationHeader
+ *    - Get the Authorization header value of the logged-in user's session, sent to the Jellyseerr proxy
+ */
+
+// Jellyseerr Proxy:
+/**
+ * The browser never talks to Jellyseerr directly. The server-side part of the plugin (server.js, registered
+ * in plugin.xml) exposes two routes on the Jellyfin server:
+ * 
+ * 1. GET /JellyseerrIntegration/ClientConfiguration
+ *    - The plugin settings for any logged-in user, without jellyseerrApiKey; installPlugin loads them
+ *    - userMappings only holds the caller's own mapping unless they're an administrator
+ * 
+ * 2. /JellyseerrIntegration/Proxy/api/v1/{path}, which:
+ *    - Requires a valid Jellyfin session (Authorization header) and rejects anything else with 401
+ *    - Adds the X-Api-Key header from the saved plugin configuration, which is never sent to clients
+ *    - Forwards only these calls and answers everything else with 403:
+ *      - Any logged-in user:
+ *        GET status, networks, studios, network/{id}/content, studio/{id}/content, search,
+ *        discover/{trending|movies|tv|movies/upcoming|tv/upcoming}, genres/{movie|tv}, keyword/{id},
+ *        person/{id}, person/{id}/combined_credits, collection/{id}, movie/{id}, tv/{id} (and their
+ *        ratings, ratingscombined and similar), service/{radarr|sonarr}, service/{radarr|sonarr}/{id},
+ *        request, user, user/{id}/quota
+ *        POST request
+ *      - Jellyfin administrators only:
+ *        GET auth/me (the API key owner, for the diagnostics)
+ *        POST request/{id}/approve, request/{id}/decline
+ * 
+ * Calls of non-administrators are scoped to their own Jellyseerr account, resolved on the server from
+ * userMappings and autoMatchUsers the same way JellyseerrUserMapper does:
+ *    - GET user only returns the caller's own record (no results when they aren't linked), so no other
+ *      account's email address reaches the browser
+ *    - GET request is limited to the caller's requests (requestedBy)
+ *    - POST request gets the caller's userId; is4k, serverId, profileId, rootFolder and
+ *      languageProfileId are dropped unless they have the advanced request permission
+ *    - user/{id}/quota only answers for the caller
+ *    - Request and quota calls of users who aren't linked are answered with 403
+ * 
+ * server.js is loaded by the Jellyfin server, which calls its register(Jellyfin) with:
+ *    - Jellyfin.getPluginConfig(id): the full saved configuration, including the API key
+ *    - Jellyfin.Server.registerRoute(method, path, handler): path may end in * to match a prefix, method
+ *      may be * for any method. The handler gets { method, path, query (URLSearchParams), body (parsed
+ *      JSON), user (the authenticated Jellyfin user, null without a valid session) } and returns
+ *      { status, headers, body }
+ * 
+ * test/proxy.test.js covers the allow-list and the scoping (npm test).
+ */
+
+// Rendering Remote Data:
+/**
+ * Titles, overviews, names and other metadata from Jellyseerr/TMDB are untrusted. Rendering rules:
+ * 
+ * 1. Remote values are only set through textContent, attributes or createTextNode, never innerHTML
+ *    (innerHTML is only used to clear containers)
+ * 
+ * 2. Remote links (trailers) must pass getSafeUrl, which only lets http(s) URLs through
+ * 
+ * 3. Remote ids used in selectors go through getItemSelector or CSS.escape
+ * 
+ * 4. Image URLs are only built on image.tmdb.org from remote paths, never taken from remote data as a whole
+ * 
+ * 5. The plugin adds a content security policy meta tag on install:
+ *    object-src 'none'; base-uri 'self'; img-src 'self' data: blob: https://image.tmdb.org {plugin.js origin}
+ *    It applies to the whole Jellyfin web app, so it leaves scripts and connections to Jellyfin. A new image
+ *    host (e.g. another TMDB image domain) has to be added to contentSecurityPolicy
+ * 
+ * 6. test/render-safety.test.js feeds hostile metadata through these helpers and the details modal, content
+ *    pages, content cards, request rows and person/collection headers (npm test)
  */
 
 // Installation Instructions:
@@ -1275,12 +6846,14 @@ if (window.Jellyfin) {
  * 1. Create a directory structure like this:
  *    - JellyfinJellyseerrIntegration/
  *      - plugin.js (contains all plugin code)
+ *      - server.js (client configuration and Jellyseerr proxy, runs on the Jellyfin server)
  *      - plugin.xml (contains plugin manifest info)
  *      - images/
  *        - default-network.png
  *        - default-studio.png
  *        - default-movie.png
  *        - default-tv.png
+ *        - default-person.png
  * 
  * 2. Create plugin.xml with the following content:
  *    ```xml
@@ -1301,10 +6874,12 @@ if (window.Jellyfin) {
  *        </manifest>
  *        <assets>
  *            <javascript src="plugin.js" />
+ *            <server src="server.js" />
  *            <image src="images/default-network.png" />
  *            <image src="images/default-studio.png" />
  *            <image src="images/default-movie.png" />
  *            <image src="images/default-tv.png" />
+ *            <image src="images/default-person.png" />
  *        </assets>
  *    </Plugin>
  *    ```
@@ -0,0 +1,229 @@
+// Server-side part of the Jellyseerr Integration plugin, loaded by the Jellyfin server (see plugin.xml).
+// It keeps the Jellyseerr API key on the server: browsers get their settings from the client configuration
+// endpoint, which leaves the key out, and reach Jellyseerr only through the proxy, which checks every call
+// against an allow-list and scopes it to the caller (see "Jellyseerr Proxy" in plugin.js).
+
+const pluginId = "JellyfinJellyseerrIntegration";
+
+// Routes registered on the Jellyfin server
+const clientConfigurationPath = "/JellyseerrIntegration/ClientConfiguration";
+const proxyPath = "/JellyseerrIntegration/Proxy/api/v1/";
+
+// Calls any logged-in Jellyfin user may make, as [method, path] (paths are relative to /api/v1/)
+const userRoutes = [
+    ['GET', /^status$/],
+    ['GET', /^(networks|studios)$/],
+    ['GET', /^(network|studio)\/\d+\/content$/],
+    ['GET', /^search$/],
+    ['GET', /^discover\/(trending|movies|tv|movies\/upcoming|tv\/upcoming)$/],
+    ['GET', /^genres\/(movie|tv)$/],
+    ['GET', /^keyword\/\d+$/],
+    ['GET', /^person\/\d+(\/combined_credits)?$/],
+    ['GET', /^collection\/\d+$/],
+    ['GET', /^movie\/\d+(\/(ratingscombined|similar))?$/],
+    ['GET', /^tv\/\d+(\/(ratings|similar))?$/],
+    ['GET', /^service\/(radarr|sonarr)(\/\d+)?$/],
+    ['GET', /^request$/],
+    ['GET', /^user$/],
+    ['GET', /^user\/\d+\/quota$/],
+    ['POST', /^request$/]
+];
+
+// Calls only Jellyfin administrators may make
+const adminRoutes = [
+    ['GET', /^auth\/me$/],
+    ['POST', /^request\/\d+\/(approve|decline)$/]
+];
+
+// Jellyseerr permission bits needed to pick the 4K, server, profile or folder options of a request
+const jellyseerrPermission = {
+    ADMIN: 2,
+    REQUEST_ADVANCED: 8192
+};
+
+// Request options a user can only set with the advanced request permission
+const advancedRequestOptions = ['is4k', 'serverId', 'profileId', 'rootFolder', 'languageProfileId'];
+
+// How long the Jellyseerr user list used to match callers is reused (ms)
+const userCacheTtl = 5 * 60 * 1000;
+
+// Answers the client configuration and proxy routes. getConfig returns the saved plugin configuration
+// (including the API key), fetchImpl sends the forwarded requests.
+class JellyseerrProxy {
+    constructor(getConfig, fetchImpl = fetch) {
+        this.getConfig = getConfig;
+        this.fetch = fetchImpl;
+        this.users = null;
+        this.usersLoadedAt = 0;
+    }
+    
+    // Settings for the browser: everything but the API key, and only the caller's own user mapping unless they're
+    // an administrator (the user mapping page needs all of them)
+    handleClientConfiguration(request) {
+        if (!request.user) {
+            return { status: 401, body: { message: 'Not logged in' } };
+        }
+        
+        const settings = Object.assign({}, this.getConfig());
+        delete settings.jellyseerrApiKey;
+        
+        if (!isAdministrator(request.user)) {
+            const mappedId = (settings.userMappings || {})[request.user.Id];
+            settings.userMappings = mappedId ? { [request.user.Id]: mappedId } : {};
+        }
+        return { status: 200, body: settings };
+    }
+    
+    // Check a call against the allow-list, scope it to the caller and forward it to Jellyseerr
+    // (path is relative to /api/v1/, request.query is a URLSearchParams)
+    async handleProxyRequest(request, path) {
+        if (!request.user) {
+            return { status: 401, body: { message: 'Not logged in' } };
+        }
+        
+        const isAdmin = isAdministrator(request.user);
+        const allowed = route => route[0] === request.method && route[1].test(path);
+        
+        if (isAdmin && (userRoutes.some(allowed) || adminRoutes.some(allowed))) {
+            return await this.forward(request.method, path, request.query, request.body);
+        }
+        if (!userRoutes.some(allowed)) {
+            return { status: 403, body: { message: `${request.method} ${path} is not allowed` } };
+        }
+        
+        // Browsing doesn't involve the caller's account
+        if (!/^(request|user)/.test(path)) {
+            return await this.forward(request.method, path, request.query, request.body);
+        }
+        
+        return await this.handleAccountRequest(request, path);
+    }
+    
+    // Forward a request, user or quota call of a non-administrator, limited to their own Jellyseerr account
+    async handleAccountRequest(request, path) {
+        const jellyseerrUser = await this.resolveUser(request.user);
+        
+        // The user list only ever contains the caller's own record, empty when they aren't linked
+        if (path === 'user') {
+            const results = jellyseerrUser ? [jellyseerrUser] : [];
+            return {
+                status: 200,
+                body: { pageInfo: { pages: 1, pageSize: results.length, results: results.length, page: 1 }, results: results }
+            };
+        }
+        
+        if (!jellyseerrUser) {
+            return { status: 403, body: { message: 'Your Jellyfin account is not linked to a Jellyseerr account' } };
+        }
+        
+        if (path === 'request' && request.method === 'GET') {
+            const query = new URLSearchParams(request.query);
+            query.set('requestedBy', String(jellyseerrUser.id));
+            return await this.forward('GET', path, query, null);
+        }
+        
+        // Requests are made for the caller, with the advanced options only if they may set them
+        if (path === 'request') {
+            const body = Object.assign({}, request.body, { userId: jellyseerrUser.id });
+            if ((jellyseerrUser.permissions & (jellyseerrPermission.ADMIN | jellyseerrPermission.REQUEST_ADVANCED)) === 0) {
+                advancedRequestOptions.forEach(option => delete body[option]);
+            }
+            return await this.forward('POST', path, request.query, body);
+        }
+        
+        // user/{id}/quota
+        if (Number(path.split('/')[1]) !== jellyseerrUser.id) {
+            return { status: 403, body: { message: 'Only your own quota can be read' } };
+        }
+        return await this.forward('GET', path, request.query, null);
+    }
+    
+    // Resolve the Jellyseerr account of a Jellyfin user: the configured mapping first, then (with
+    // autoMatchUsers) the linked Jellyfin account, the username or the email compared with the Jellyfin user
+    // name. Null if there's no match.
+    async resolveUser(jellyfinUser) {
+        const config = this.getConfig();
+        const users = await this.getJellyseerrUsers();
+        
+        const mappedId = (config.userMappings || {})[jellyfinUser.Id];
+        if (mappedId) {
+            return users.find(user => user.id === Number(mappedId)) || null;
+        }
+        if (config.autoMatchUsers === false) {
+            return null;
+        }
+        
+        const name = (jellyfinUser.Name || '').toLowerCase();
+        return users.find(user => user.jellyfinUserId === jellyfinUser.Id) ||
+            users.find(user => (user.jellyfinUsername || user.username || '').toLowerCase() === name) ||
+            (name && users.find(user => (user.email || '').toLowerCase() === name)) ||
+            null;
+    }
+    
+    // Get all Jellyseerr users (cached for userCacheTtl)
+    async getJellyseerrUsers() {
+        if (!this.users || Date.now() - this.usersLoadedAt > userCacheTtl) {
+            const response = await this.forward('GET', 'user', new URLSearchParams({ take: '1000' }), null);
+            if (response.status !== 200) {
+                throw new Error(`Could not load Jellyseerr users: ${response.status}`);
+            }
+            this.users = response.body.results || [];
+            this.usersLoadedAt = Date.now();
+        }
+        
+        return this.users;
+    }
+    
+    // Send a call to Jellyseerr with the API key and pass its status and JSON body back
+    async forward(method, path, query, body) {
+        const config = this.getConfig();
+        const search = query && query.toString();
+        const url = `${config.jellyseerrUrl.replace(/\/+$/, '')}/api/v1/${path}${search ? `?${search}` : ''}`;
+        
+        const options = {
+            method: method,
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-Api-Key': config.jellyseerrApiKey }
+        };
+        if (body && method === 'POST') {
+            options.body = JSON.stringify(body);
+        }
+        
+        let response;
+        try {
+            response = await this.fetch(url, options);
+        } catch (error) {
+            return { status: 502, body: { message: `Could not reach Jellyseerr: ${error.message}` } };
+        }
+        
+        const headers = {};
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter) {
+            headers['Retry-After'] = retryAfter;
+        }
+        
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            return { status: 502, body: { message: 'Jellyseerr returned an invalid response' } };
+        }
+        return { status: response.status, headers: headers, body: data };
+    }
+}
+
+// Check whether a Jellyfin user is an administrator
+function isAdministrator(jellyfinUser) {
+    return !!(jellyfinUser.Policy && jellyfinUser.Policy.IsAdministrator);
+}
+
+// Called by the Jellyfin server when it loads server.js
+function register(jellyfin) {
+    const proxy = new JellyseerrProxy(() => jellyfin.getPluginConfig(pluginId));
+    
+    jellyfin.Server.registerRoute('GET', clientConfigurationPath, request => proxy.handleClientConfiguration(request));
+    jellyfin.Server.registerRoute('*', `${proxyPath}*`, request =>
+        proxy.handleProxyRequest(request, request.path.slice(proxyPath.length)));
+}
+
+module.exports = { register, JellyseerrProxy };
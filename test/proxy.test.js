@@ -0,0 +1,129 @@
+// Checks the allow-list and per-user scoping of the Jellyseerr proxy in server.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JellyseerrProxy } = require('../server.js');
+
+const config = {
+    jellyseerrUrl: 'http://jellyseerr.local:5055/',
+    jellyseerrApiKey: 'secret-key',
+    userMappings: { 'jf-mapped': 3 },
+    autoMatchUsers: true,
+    displayNetworks: ['HBO']
+};
+
+const jellyseerrUsers = [
+    { id: 1, email: 'admin@example.com', username: 'admin', permissions: 2 },
+    { id: 2, email: 'alice@example.com', jellyfinUserId: 'jf-alice', jellyfinUsername: 'alice', permissions: 32 },
+    { id: 3, email: 'bob@example.com', username: 'bobby', permissions: 32 | 8192 },
+    { id: 4, email: 'carol@example.com', username: 'carol', permissions: 32 }
+];
+
+const admin = { Id: 'jf-admin', Name: 'admin', Policy: { IsAdministrator: true } };
+const alice = { Id: 'jf-alice', Name: 'Alice', Policy: { IsAdministrator: false } };
+const bob = { Id: 'jf-mapped', Name: 'bob', Policy: { IsAdministrator: false } };
+const carol = { Id: 'jf-carol', Name: 'Carol@Example.com', Policy: { IsAdministrator: false } };
+const stranger = { Id: 'jf-stranger', Name: 'stranger', Policy: { IsAdministrator: false } };
+
+let calls;
+let proxy;
+
+// Jellyseerr stand-in: answers the user list and echoes every other call
+beforeEach(() => {
+    calls = [];
+    proxy = new JellyseerrProxy(() => config, async (url, options) => {
+        calls.push({ url: url, method: options.method, headers: options.headers, body: options.body && JSON.parse(options.body) });
+        const data = url.includes('/api/v1/user?') ? { results: jellyseerrUsers } : { ok: true };
+        return {
+            status: 200,
+            headers: { get: () => null },
+            text: async () => JSON.stringify(data)
+        };
+    });
+});
+
+function send(user, method, path, query = '', body = null) {
+    return proxy.handleProxyRequest({ method: method, query: new URLSearchParams(query), body: body, user: user }, path);
+}
+
+// Calls forwarded to Jellyseerr, leaving out the user list lookups
+function forwarded() {
+    return calls.filter(call => !call.url.includes('/api/v1/user?take='));
+}
+
+test('the client configuration leaves the API key out', () => {
+    const response = proxy.handleClientConfiguration({ user: alice });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.jellyseerrApiKey, undefined);
+    assert.deepEqual(response.body.displayNetworks, ['HBO']);
+    assert.ok(!JSON.stringify(response.body).includes('secret-key'));
+});
+
+test('the client configuration only holds the caller\'s own user mapping', () => {
+    assert.deepEqual(proxy.handleClientConfiguration({ user: bob }).body.userMappings, { 'jf-mapped': 3 });
+    assert.deepEqual(proxy.handleClientConfiguration({ user: alice }).body.userMappings, {});
+    assert.deepEqual(proxy.handleClientConfiguration({ user: admin }).body.userMappings, config.userMappings);
+});
+
+test('calls without a Jellyfin session are rejected', async () => {
+    assert.equal(proxy.handleClientConfiguration({ user: null }).status, 401);
+    assert.equal((await send(null, 'GET', 'networks')).status, 401);
+    assert.equal(calls.length, 0);
+});
+
+test('allowed calls are forwarded with the API key', async () => {
+    const response = await send(alice, 'GET', 'movie/550/similar', 'page=2');
+
+    assert.equal(response.status, 200);
+    assert.equal(calls[0].url, 'http://jellyseerr.local:5055/api/v1/movie/550/similar?page=2');
+    assert.equal(calls[0].headers['X-Api-Key'], 'secret-key');
+});
+
+test('calls outside the allow-list are rejected', async () => {
+    for (const [method, path] of [['GET', 'settings/main'], ['POST', 'user'], ['DELETE', 'request/1'],
+        ['GET', 'movie/1/../../settings/main'], ['POST', 'request/1/approve'], ['GET', 'auth/me']]) {
+        assert.equal((await send(alice, method, path)).status, 403, `${method} ${path}`);
+    }
+    assert.equal(forwarded().length, 0);
+});
+
+test('administrators can approve requests and read the API key owner', async () => {
+    assert.equal((await send(admin, 'POST', 'request/9/approve')).status, 200);
+    assert.equal((await send(admin, 'GET', 'auth/me')).status, 200);
+    assert.equal((await send(admin, 'GET', 'settings/main')).status, 403);
+});
+
+test('the user list only contains the caller, matched by mapping, Jellyfin account, username or email', async () => {
+    assert.deepEqual((await send(alice, 'GET', 'user', 'take=1000')).body.results.map(user => user.id), [2]);
+    assert.deepEqual((await send(bob, 'GET', 'user')).body.results.map(user => user.id), [3]);
+    assert.deepEqual((await send(carol, 'GET', 'user')).body.results.map(user => user.id), [4]);
+    assert.deepEqual((await send(stranger, 'GET', 'user')).body.results, []);
+    assert.deepEqual((await send(admin, 'GET', 'user', 'take=1000')).body, { results: jellyseerrUsers });
+});
+
+test('request lists are limited to the caller', async () => {
+    await send(alice, 'GET', 'request', 'take=20&requestedBy=1');
+
+    assert.equal(new URL(forwarded()[0].url).searchParams.get('requestedBy'), '2');
+});
+
+test('requests are made for the caller without advanced options they may not set', async () => {
+    await send(alice, 'POST', 'request', '', { mediaType: 'movie', mediaId: 5, userId: 1, is4k: true, serverId: 1, rootFolder: '/x' });
+    await send(bob, 'POST', 'request', '', { mediaType: 'movie', mediaId: 5, userId: 1, serverId: 1 });
+
+    const [aliceRequest, bobRequest] = forwarded();
+    assert.deepEqual(aliceRequest.body, { mediaType: 'movie', mediaId: 5, userId: 2 });
+    assert.deepEqual(bobRequest.body, { mediaType: 'movie', mediaId: 5, userId: 3, serverId: 1 });
+});
+
+test('quotas are only answered for the caller', async () => {
+    assert.equal((await send(alice, 'GET', 'user/2/quota')).status, 200);
+    assert.equal((await send(alice, 'GET', 'user/3/quota')).status, 403);
+});
+
+test('users who are not linked cannot request', async () => {
+    assert.equal((await send(stranger, 'POST', 'request', '', { mediaType: 'movie', mediaId: 5 })).status, 403);
+    assert.equal((await send(stranger, 'GET', 'request')).status, 403);
+    assert.equal((await send(stranger, 'GET', 'networks')).status, 200);
+    assert.equal(forwarded().length, 1);
+});
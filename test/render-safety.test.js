@@ -0,0 +1,286 @@
+// Feeds hostile metadata through the rendering helpers of plugin.js (see "Rendering Remote Data" in plugin.js)
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const cssEscape = require('css.escape');
+
+const pluginSource = fs.readFileSync(path.join(__dirname, '..', 'plugin.js'), 'utf8');
+
+const hostileMarkup = '<img src=x onerror="window.executed = true"><script>window.executed = true</script>';
+const hostileUrls = [
+    'javascript:window.executed = true',
+    ' JaVaScRiPt:window.executed = true',
+    'java\tscript:window.executed = true',
+    'data:text/html,<script>window.executed = true</script>',
+    'vbscript:msgbox(1)',
+    '//example.com/x',
+    ''
+];
+
+// A movie whose every text field, name and image path carries markup, and whose links are javascript: URLs
+const hostileMovie = {
+    id: 550,
+    mediaType: 'movie',
+    title: hostileMarkup,
+    overview: hostileMarkup,
+    releaseDate: '1999-10-15',
+    posterPath: `/${hostileMarkup}`,
+    runtime: 139,
+    voteAverage: 8.4,
+    genres: [{ id: 18, name: hostileMarkup }],
+    keywords: [{ id: 1, name: hostileMarkup }],
+    collection: { id: 10, name: hostileMarkup },
+    releases: { results: [{ iso_3166_1: 'US', release_dates: [{ certification: hostileMarkup }] }] },
+    credits: {
+        cast: [{ id: 3, name: hostileMarkup, character: hostileMarkup, profilePath: `/${hostileMarkup}` }],
+        crew: [{ id: 4, name: hostileMarkup, job: 'Director' }]
+    },
+    relatedVideos: [{ type: 'Trailer', site: 'YouTube', url: hostileUrls[0] }],
+    watchProviders: [{ iso_3166_1: 'US', link: hostileUrls[0], flatrate: [{ name: hostileMarkup, logoPath: `/${hostileMarkup}` }] }]
+};
+
+const hostilePerson = {
+    id: 3,
+    name: hostileMarkup,
+    biography: hostileMarkup,
+    knownForDepartment: hostileMarkup,
+    placeOfBirth: hostileMarkup,
+    birthday: '1970-01-01',
+    profilePath: `/${hostileMarkup}`
+};
+
+const hostileCollection = { id: 10, name: hostileMarkup, overview: hostileMarkup, posterPath: `/${hostileMarkup}`, parts: [hostileMovie] };
+
+// Jellyseerr responses by path (below /api/v1), null for a failing call
+const responses = {
+    '/movie/550': hostileMovie,
+    '/movie/550/ratingscombined': {},
+    '/movie/550/similar': { page: 1, totalPages: 1, results: [Object.assign({}, hostileMovie, { id: 551 })] },
+    '/person/3': hostilePerson,
+    '/person/3/combined_credits': { cast: [hostileMovie], crew: [] },
+    '/collection/10': hostileCollection,
+    '/network/5/content': { page: 1, totalPages: 1, movies: [hostileMovie], tvShows: [] },
+    '/network/6/content': null,
+    '/genres/movie': [],
+    '/genres/tv': []
+};
+
+let window;
+let plugin;
+
+// Load plugin.js into a fresh page with scripts enabled, so anything that gets parsed as HTML would run.
+// Jellyfin is only defined afterwards, so the plugin is created here instead of installing itself.
+beforeEach(() => {
+    const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+        runScripts: 'dangerously',
+        url: 'http://jellyfin.local/web/'
+    });
+    window = dom.window;
+    window.CSS = { escape: cssEscape }; // Not implemented by jsdom
+    window.fetch = async url => {
+        const path = new URL(url, window.location.href).pathname.replace(/^.*\/api\/v1/, '');
+        const data = responses[path];
+        return {
+            ok: data !== null,
+            status: data === null ? 500 : 200,
+            statusText: hostileMarkup,
+            headers: { get: () => null },
+            json: async () => data || {}
+        };
+    };
+    window.eval(`${pluginSource}
+        window.JellyseerrIntegrationPlugin = JellyseerrIntegrationPlugin;
+        window.installContentSecurityPolicy = installContentSecurityPolicy;`);
+    window.Jellyfin = {
+        Api: { getAuthorizationHeader: () => 'MediaBrowser Token="test"' },
+        Navigation: { navigate: () => {} }
+    };
+    plugin = new window.JellyseerrIntegrationPlugin({ requestRetries: 0 });
+});
+
+// Let pending requests and renders finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+// Assert that nothing in a rendered tree was parsed from the hostile metadata or ran: no script elements, no event
+// handler attributes, no images other than the ones the plugin builds, no javascript: links
+function assertInert(root) {
+    assert.equal(root.querySelectorAll('script').length, 0);
+    for (const element of root.querySelectorAll('*')) {
+        for (const attribute of element.attributes) {
+            assert.ok(!attribute.name.startsWith('on'), `<${element.tagName.toLowerCase()} ${attribute.name}>`);
+        }
+    }
+    for (const image of root.querySelectorAll('img')) {
+        assert.match(image.getAttribute('src'), /^(https:\/\/image\.tmdb\.org\/t\/p\/|plugins\/)/);
+    }
+    for (const link of root.querySelectorAll('a[href]')) {
+        assert.doesNotMatch(link.getAttribute('href'), /script:/i);
+    }
+    assert.equal(window.executed, undefined);
+}
+
+// Render into a container attached to the page
+function createContainer() {
+    const container = window.document.createElement('div');
+    window.document.body.appendChild(container);
+    return container;
+}
+
+test('createDetailItem renders hostile labels and values as text', () => {
+    const item = plugin.createDetailItem(hostileMarkup, hostileMarkup);
+    window.document.body.appendChild(item);
+
+    assert.equal(item.querySelectorAll('img, script').length, 0);
+    assert.deepEqual([...item.children].map(child => child.tagName), ['SPAN']);
+    assert.equal(item.querySelector('.detail-label').textContent, hostileMarkup);
+    assert.equal(item.textContent, `${hostileMarkup} ${hostileMarkup}`);
+    assert.equal(window.executed, undefined);
+});
+
+test('createDetailItem keeps quote-breaking values inside the text node', () => {
+    const value = '" onmouseover="window.executed = true" data-x="';
+    const item = plugin.createDetailItem('Title', value);
+
+    assert.equal(item.attributes.length, 1); // class
+    assert.equal(item.lastChild.nodeType, window.Node.TEXT_NODE);
+    assert.equal(item.lastChild.textContent, ` ${value}`);
+});
+
+test('getSafeUrl rejects anything but http(s) links', () => {
+    for (const url of hostileUrls) {
+        assert.equal(plugin.getSafeUrl(url), null, url);
+    }
+    assert.equal(plugin.getSafeUrl(null), null);
+    assert.equal(plugin.getSafeUrl(undefined), null);
+});
+
+test('getSafeUrl passes http(s) links through normalized', () => {
+    assert.equal(plugin.getSafeUrl('https://www.youtube.com/watch?v=abc'), 'https://www.youtube.com/watch?v=abc');
+    assert.equal(plugin.getSafeUrl('HTTP://example.com/a b'), 'http://example.com/a%20b');
+});
+
+test('getItemSelector matches only the card with the hostile id', () => {
+    const hostileId = '1"], .victim, [data-id="';
+    const document = window.document;
+
+    for (const id of [hostileId, '1']) {
+        const card = document.createElement('div');
+        card.className = 'content-card';
+        card.dataset.id = id;
+        card.dataset.mediaType = 'movie';
+        document.body.appendChild(card);
+    }
+    const victim = document.createElement('div');
+    victim.className = 'victim';
+    document.body.appendChild(victim);
+
+    const matches = document.querySelectorAll(plugin.getItemSelector('.content-card', hostileId, 'movie'));
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].dataset.id, hostileId);
+
+    const quoted = document.querySelectorAll(plugin.getItemSelector('.content-card', '1', 'movie"]'));
+    assert.equal(quoted.length, 0);
+});
+
+test('getItemSelector handles backslashes and newlines in ids', () => {
+    for (const id of ['\\', '\\"', 'a\nb', ']', '\u0000']) {
+        assert.doesNotThrow(() => window.document.querySelectorAll(plugin.getItemSelector('.content-card', id, 'tv')), JSON.stringify(id));
+    }
+});
+
+test('the details modal renders hostile details, cast, crew and links as text', async () => {
+    plugin.openDetailsModal(hostileMovie);
+    await settle();
+
+    const modal = window.document.querySelector('#jellyseerr-modal-container');
+    assertInert(modal);
+    assert.equal(modal.querySelector('h2').textContent, hostileMarkup);
+    assert.equal(modal.querySelector('.trailer-link'), null);
+    assert.ok(modal.querySelectorAll('.detail-link').length >= 3); // genre, keyword, collection, director
+    assert.ok([...modal.querySelectorAll('.detail-item')].some(item => item.textContent.includes(`Overview: ${hostileMarkup}`)));
+    assert.ok(modal.textContent.split(hostileMarkup).length > 6);
+});
+
+test('content cards render hostile titles and poster paths as text and attributes', () => {
+    const card = plugin.createContentCard(plugin.normalizeMediaItem(hostileMovie));
+    createContainer().appendChild(card);
+
+    assertInert(card);
+    assert.ok(card.textContent.includes(hostileMarkup));
+});
+
+test('network pages render hostile network names and content', async () => {
+    plugin.networkCache[5] = { id: 5, name: hostileMarkup, logoPath: `/${hostileMarkup}` };
+    const container = createContainer();
+
+    await plugin.renderNetworkContentPage(container, 5);
+
+    assertInert(container);
+    assert.equal(container.querySelector('h1').textContent, hostileMarkup);
+    assert.ok(container.querySelector('.content-card'));
+});
+
+test('network page error messages show hostile server text as text', async () => {
+    plugin.networkCache[6] = { id: 6, name: hostileMarkup };
+    const container = createContainer();
+
+    await plugin.renderNetworkContentPage(container, 6);
+
+    assertInert(container);
+    assert.ok(container.querySelector('.error-message'));
+});
+
+test('request rows render hostile titles and requester names as text', () => {
+    const request = {
+        id: 1,
+        status: 1,
+        createdAt: '2024-01-01T00:00:00Z',
+        media: { tmdbId: 550, mediaType: 'movie', status: 2 },
+        requestedBy: { displayName: hostileMarkup }
+    };
+    const row = plugin.createRequestRow(request, hostileMovie, { showRequester: true });
+    createContainer().appendChild(row);
+
+    assertInert(row);
+    assert.equal(row.querySelector('.request-title').textContent, hostileMarkup);
+    assert.ok(row.querySelector('.request-meta').textContent.endsWith(`by ${hostileMarkup}`));
+});
+
+test('person pages render hostile names, biographies and credits as text', async () => {
+    const container = createContainer();
+
+    await plugin.renderPersonPage(container, 3);
+
+    assertInert(container);
+    assert.equal(container.querySelector('.person-header h1').textContent, hostileMarkup);
+    assert.equal(container.querySelector('.person-biography').textContent, hostileMarkup);
+});
+
+test('collection pages render hostile names, overviews and parts as text', async () => {
+    const container = createContainer();
+
+    await plugin.renderCollectionPage(container, 10);
+
+    assertInert(container);
+    assert.equal(container.querySelector('h1').textContent, hostileMarkup);
+    assert.equal(container.querySelector('.person-biography').textContent, hostileMarkup);
+    assert.ok(container.querySelector('.content-card'));
+});
+
+test('installContentSecurityPolicy only adds directives that cannot break Jellyfin', () => {
+    window.installContentSecurityPolicy();
+
+    const policy = window.document.querySelector('meta[http-equiv="Content-Security-Policy"]').content;
+    const directives = Object.fromEntries(policy.split('; ').map(directive => {
+        const [name, ...sources] = directive.split(' ');
+        return [name, sources];
+    }));
+    assert.deepEqual(Object.keys(directives).sort(), ['base-uri', 'img-src', 'object-src']);
+    assert.deepEqual(directives['object-src'], ["'none'"]);
+    assert.ok(directives['img-src'].includes('https://image.tmdb.org'));
+    assert.ok(directives['img-src'].includes('blob:'));
+});